@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/*
+ * License Notice Dual-UX - GNU Affero General Public License
+ *
+ * This file is part of Dual-UX.
+ *
+ * Dual-UX is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *
+ * Dual-UX is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along with Dual-UX. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* dualux CLI (Node ≥ 16, no dependencies; prepaint needs Node ≥ 20.19 to load the ES-module runtime)
+ *
+ *   node bin/dualux.mjs precache [--root .] [--out precache-manifest.js]
+ *                                [--include <glob>]... [--exclude <glob>]...
+ *   node bin/dualux.mjs prepaint [--config js/dualux.config.js] [--html index.html]
+ *                                [--runtime js/dualux.runtime.v1.1.0.min.js]
+ *
+ * precache: scans the project, writes the service worker precache manifest with content hashes
+ * (self.__DUALUX_PRECACHE, loaded by sw.js through importScripts) and fails when a file referenced
+ * from index.html or manifest.json is missing on disk or from the precache.
+ *
+ * prepaint: writes the runtime's prepaintSnippet() for the config (an ES module's default export or
+ * a JSON file) between the `<!-- dualux:prepaint -->` and `<!-- /dualux:prepaint -->` markers of the
+ * HTML file. Run precache afterwards: the HTML changed.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { join, posix, relative, resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const PRECACHE_DEFAULTS = {
+  root: '.',
+  out: 'precache-manifest.js',
+  include: ['*.html', 'manifest.json', 'favicon.ico', 'assets/**', 'js/**'],
+  // Workbox is loaded by importScripts and cached with the worker script itself
+  exclude: ['js/vendor/**', '**/*.map', '**/.DS_Store'],
+};
+
+const PREPAINT_DEFAULTS = {
+  config: 'js/dualux.config.js',
+  html: 'index.html',
+  // The minified build keeps the inlined snippet small
+  runtime: 'js/dualux.runtime.v1.1.0.min.js',
+};
+
+const PREPAINT_MARKERS = /(<!-- dualux:prepaint -->)[\s\S]*?(<!-- \/dualux:prepaint -->)/;
+
+/** Error carrying a message for the user; no stack trace is printed for it. */
+class CliError extends Error {}
+
+/**
+ * Parse `--key value` pairs; repeated include/exclude flags accumulate.
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new CliError(`Unexpected argument: ${arg}`);
+    const key = arg.slice(2);
+    const value = argv[++i];
+    if (value === undefined) throw new CliError(`Missing value for ${arg}`);
+    if (key === 'include' || key === 'exclude') (opts[key] = opts[key] || []).push(value);
+    else opts[key] = value;
+  }
+  return opts;
+}
+
+/**
+ * Turn a glob ('**' any depth, '*' within a segment) into an anchored RegExp on posix paths.
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else {
+      re += c.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/** All files below `dir`, as posix paths relative to `root`. */
+function walk(root, dir = root) {
+  return readdirSync(dir).flatMap((name) => {
+    if (name === 'node_modules' || name === '.git') return [];
+    const abs = join(dir, name);
+    if (statSync(abs).isDirectory()) return walk(root, abs);
+    return [relative(root, abs).split(sep).join('/')];
+  });
+}
+
+/**
+ * Same-origin files referenced by index.html: stylesheets/icons/manifest (link href),
+ * script src, img src and module import specifiers in inline scripts.
+ * @returns {string[]} absolute URL paths
+ */
+function htmlReferences(html) {
+  const refs = [];
+  const attr = /<(link|script|img|source)\b[^>]*?\s(href|src)\s*=\s*["']([^"']+)["']/gi;
+  const imports = /\bimport\s+(?:[^'"]*?\sfrom\s+)?["']([^"']+)["']/g;
+  let m;
+  while ((m = attr.exec(html))) refs.push(m[3]);
+  while ((m = imports.exec(html))) refs.push(m[1]);
+  return refs;
+}
+
+/** Files referenced by the web app manifest (icons, screenshots, shortcut icons). */
+function manifestReferences(manifest) {
+  const refs = [];
+  const icons = (list) => (list || []).forEach((i) => i && i.src && refs.push(i.src));
+  icons(manifest.icons);
+  icons(manifest.screenshots);
+  (manifest.shortcuts || []).forEach((s) => icons(s.icons));
+  return refs;
+}
+
+/**
+ * Resolve a reference to a site-absolute path, or null for other origins and non-file URLs.
+ * @param {string} ref
+ * @param {string} base site path of the referencing document's directory
+ */
+function toSitePath(ref, base) {
+  if (/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref)) return null;
+  const clean = ref.split(/[?#]/)[0];
+  if (!clean) return null;
+  return clean.startsWith('/') ? posix.normalize(clean) : posix.join(base, clean);
+}
+
+/** `dualux precache` */
+function precache(argv) {
+  const args = parseArgs(argv);
+  const cfg = { ...PRECACHE_DEFAULTS, ...args };
+  if (args.include) cfg.include = args.include;
+  if (args.exclude) cfg.exclude = [...PRECACHE_DEFAULTS.exclude, ...args.exclude];
+
+  const root = resolve(cfg.root);
+  const include = cfg.include.map(globToRegExp);
+  const exclude = cfg.exclude.map(globToRegExp);
+  const outPath = posix.normalize(cfg.out);
+
+  const files = walk(root)
+    .filter((f) => f !== outPath && include.some((re) => re.test(f)) && !exclude.some((re) => re.test(f)))
+    .sort();
+
+  const entries = files.map((f) => ({
+    url: `/${f}`,
+    revision: createHash('md5').update(readFileSync(join(root, f))).digest('hex'),
+  }));
+
+  // Every file the entry documents need must be precached, or the offline shell breaks
+  const precached = new Set(entries.map((e) => e.url));
+  const problems = [];
+  const check = (from, refs, base) => refs.forEach((ref) => {
+    const path = toSitePath(ref, base);
+    if (!path || path === '/') return;
+    if (!existsSync(join(root, path))) problems.push(`${from} references ${ref}, which does not exist`);
+    else if (!precached.has(path)) problems.push(`${from} references ${ref}, which is not precached`);
+  });
+
+  if (existsSync(join(root, 'index.html'))) {
+    check('index.html', htmlReferences(readFileSync(join(root, 'index.html'), 'utf8')), '/');
+  }
+  if (existsSync(join(root, 'manifest.json'))) {
+    let manifest;
+    try {
+      manifest = JSON.parse(readFileSync(join(root, 'manifest.json'), 'utf8'));
+    } catch (e) {
+      throw new CliError(`manifest.json is not valid JSON: ${e.message}`);
+    }
+    check('manifest.json', manifestReferences(manifest), '/');
+  }
+
+  if (problems.length) {
+    throw new CliError(`Precache manifest not written:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const body = [
+    '// Generated by `node bin/dualux.mjs precache`. Do not edit; re-run after changing precached files.',
+    `self.__DUALUX_PRECACHE = ${JSON.stringify(entries, null, 2)};`,
+    '',
+  ].join('\n');
+  writeFileSync(join(root, outPath), body);
+  console.log(`✅ ${outPath}: ${entries.length} files precached`);
+}
+
+/** `dualux prepaint` */
+async function prepaint(argv) {
+  const cfg = { ...PREPAINT_DEFAULTS, ...parseArgs(argv) };
+  const configPath = resolve(cfg.config);
+  const htmlPath = resolve(cfg.html);
+  const runtimePath = resolve(cfg.runtime);
+  [configPath, htmlPath, runtimePath].forEach((p) => {
+    if (!existsSync(p)) throw new CliError(`${relative(process.cwd(), p)} does not exist`);
+  });
+
+  let config;
+  try {
+    config = configPath.endsWith('.json')
+      ? JSON.parse(readFileSync(configPath, 'utf8'))
+      : (await import(pathToFileURL(configPath).href)).default;
+  } catch (e) {
+    throw new CliError(`Cannot load ${cfg.config}: ${e.message}`);
+  }
+
+  const { prepaintSnippet } = await import(pathToFileURL(runtimePath).href);
+  if (typeof prepaintSnippet !== 'function') throw new CliError(`${cfg.runtime} does not export prepaintSnippet()`);
+
+  const html = readFileSync(htmlPath, 'utf8');
+  if (!PREPAINT_MARKERS.test(html)) {
+    throw new CliError(`${cfg.html} has no <!-- dualux:prepaint --><!-- /dualux:prepaint --> markers`);
+  }
+  const script = `<script>${prepaintSnippet(config)}</script>`;
+  writeFileSync(htmlPath, html.replace(PREPAINT_MARKERS, (_, open, close) => `${open}\n  ${script}\n  ${close}`));
+  console.log(`✅ ${cfg.html}: pre-paint script written (${script.length} bytes)`);
+}
+
+const COMMANDS = { precache, prepaint };
+
+async function main([command, ...argv]) {
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`Usage: dualux <${Object.keys(COMMANDS).join('|')}> [options]`);
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    await run(argv);
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,164 @@
+/*
+ * License Notice Dual-UX - GNU Affero General Public License
+ *
+ * This file is part of Dual-UX.
+ *
+ * Dual-UX is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *
+ * Dual-UX is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along with Dual-UX. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* dualux.analytics.js
+ * DUAL-UX Analytics hooks (ES module)
+ * Records session start, UX switches, time spent per UX and the install funnel from the runtime's
+ * events, batches them and flushes through navigator.sendBeacon on pagehide.
+ *
+ * Usage:
+ *   import { dualux } from '/js/dualux.runtime.v1.1.0.min.js';
+ *   import { createAnalytics } from '/js/dualux.analytics.js';
+ *
+ *   const analytics = createAnalytics(dualux, {
+ *     endpoint: '/api/analytics',                       // same-origin collector; null = adapters only
+ *     adapters: [(e) => window.gtag && gtag('event', e.type, e)],
+ *   });
+ *   dualux.init(); // create the tracker first so it sees 'ready'
+ *
+ * Recorded event types:
+ *   session_start     { displayMode, uxMode, isStandalone, source, rule, experiment }
+ *   ux_switch         { from, to, displayMode, source, rule, experiment }   source: detection|url|storage|media|…
+ *   (rule / experiment name the runtime rule and { id, bucket } that decided the UX, or null)
+ *   ux_time           { ux, ms }                          foreground time spent in a UX
+ *   install_available / install_prompted / install_dismissed / install_accepted
+ */
+
+const DEFAULTS = {
+  endpoint: '/api/analytics', // sendBeacon target; null disables the transport
+  maxBatch: 20,               // flush as soon as this many events are queued
+  adapters: [],               // (event) => void, called for every recorded event
+};
+
+/** Per-page session id shared by all events of one tracker. */
+function newSessionId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Attach analytics hooks to a runtime.
+ * @param {object} runtime a DualUxRuntime (e.g. the exported `dualux`)
+ * @param {{endpoint?:?string, maxBatch?:number, adapters?:Function[]}} [options]
+ * @returns {{track:Function, use:Function, flush:Function, destroy:Function}}
+ */
+export function createAnalytics(runtime, options) {
+  const cfg = { ...DEFAULTS, ...(options || {}) };
+  const adapters = [...cfg.adapters];
+  const sessionId = newSessionId();
+  let queue = [];
+
+  // Foreground time in the current UX; `since` is null while the page is hidden
+  let current = { ux: runtime.getUxMode(), since: performance.now() };
+
+  /**
+   * Record an event, hand it to every adapter and queue it for the beacon.
+   * @param {string} type
+   * @param {object} [props]
+   */
+  function track(type, props) {
+    const event = { type, ts: Date.now(), sessionId, ...(props || {}) };
+    adapters.forEach((adapter) => {
+      try { adapter(event); } catch (e) { console.error('[DUAL-UX] analytics adapter error', e); }
+    });
+    if (!cfg.endpoint) return;
+    queue.push(event);
+    if (queue.length >= cfg.maxBatch) flush();
+  }
+
+  /** Send queued events; falls back to a keepalive fetch where sendBeacon is missing or refuses. */
+  function flush() {
+    if (!queue.length || !cfg.endpoint) return;
+    const body = JSON.stringify({ events: queue });
+    queue = [];
+    const blob = new Blob([body], { type: 'application/json' });
+    if (navigator.sendBeacon && navigator.sendBeacon(cfg.endpoint, blob)) return;
+    try {
+      fetch(cfg.endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+        .catch(() => {});
+    } catch (_) {}
+  }
+
+  /** Close the running UX timer into a ux_time event. */
+  function stopTimer() {
+    if (current.since === null) return;
+    track('ux_time', { ux: current.ux, ms: Math.round(performance.now() - current.since) });
+    current.since = null;
+  }
+
+  function startTimer(ux) {
+    current = { ux, since: performance.now() };
+  }
+
+  const unsubscribers = [
+    runtime.on('ready', (d) => {
+      startTimer(d.uxMode);
+      track('session_start', {
+        displayMode: d.next.displayMode, uxMode: d.next.uxMode, isStandalone: d.next.isStandalone, source: d.source,
+        rule: d.rule, experiment: d.experiment
+      });
+    }),
+    runtime.on('uxchange', (d) => {
+      stopTimer();
+      if (document.visibilityState !== 'hidden') startTimer(d.uxMode);
+      else current = { ux: d.uxMode, since: null };
+      track('ux_switch', {
+        from: d.previous.uxMode, to: d.next.uxMode, displayMode: d.displayMode, source: d.source,
+        rule: d.rule, experiment: d.experiment
+      });
+    }),
+    runtime.on('installable', (d) => track('install_available', { uxMode: d.uxMode, platforms: d.platforms })),
+    runtime.on('installprompt', (d) => track('install_prompted', { uxMode: d.uxMode })),
+    runtime.on('installdismissed', (d) => track('install_dismissed', { uxMode: d.uxMode })),
+    runtime.on('installed', (d) => track('install_accepted', { uxMode: d.uxMode, displayMode: d.displayMode })),
+  ];
+
+  // Created after init(): 'ready' already fired, so start the session from the current state
+  if (runtime.initialized) {
+    const state = runtime.snapshot();
+    startTimer(state.uxMode);
+    const { rule, experiment } = runtime.why();
+    track('session_start', { ...state, source: null, rule, experiment });
+  }
+
+  const onVisibility = () => {
+    if (document.visibilityState === 'hidden') {
+      stopTimer();
+      flush();
+    } else if (current.since === null) {
+      startTimer(current.ux);
+    }
+  };
+  const onPageHide = () => {
+    stopTimer();
+    flush();
+  };
+  document.addEventListener('visibilitychange', onVisibility);
+  window.addEventListener('pagehide', onPageHide);
+
+  return {
+    track,
+    flush,
+
+    /** Add an adapter: (event) => void. */
+    use(adapter) { adapters.push(adapter); },
+
+    /** Stop listening and send what is queued. */
+    destroy() {
+      unsubscribers.forEach((off) => off());
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('pagehide', onPageHide);
+      stopTimer();
+      flush();
+    },
+  };
+}
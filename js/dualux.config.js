@@ -0,0 +1,26 @@
+/*
+ * License Notice Dual-UX - GNU Affero General Public License
+ *
+ * This file is part of Dual-UX.
+ *
+ * Dual-UX is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *
+ * Dual-UX is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along with Dual-UX. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* dualux.config.js (ES module)
+ * Runtime configuration shared by index.html (dualux.configure()) and `node bin/dualux.mjs prepaint`,
+ * so the inline pre-paint script resolves the UX exactly like the runtime.
+ * Re-run `node bin/dualux.mjs prepaint` after changing it.
+ */
+
+export default {
+  routing: { strategy: 'runtime' },   // no query/hash
+  routes:  { appHome: '/', webHome: '/' }, // optional; same entry
+  mapping: { standaloneTo: 'app', browserTo: 'web' },
+  head: {
+    app: { robots: 'noindex' } // the installed experience is not meant for search results
+  }
+};
@@ -12,14 +12,15 @@
 
 /* dualux.runtime.js
  * DUAL-UX Runtime v1.1.0 (ES module)
- * Event-driven UX-mode runtime with display-mode detection + URL strategies (query/hash/runtime).
+ * Event-driven UX-mode runtime with display-mode detection + URL strategies (query/hash/path/runtime).
  * © 2021–2025 Easywebapp Inc. All rights reserved. Author: Ron J. van der Zwan (Easywebapp Inc.)
  *
  * =================================================================================================
  * NEW: HTACCESS-FREE ROUTING STRATEGIES
- *   routing.strategy: 'query' | 'hash' | 'runtime'
+ *   routing.strategy: 'query' | 'hash' | 'path' | 'runtime'
  *     - 'query'   → /?mode=app or /?mode=web
  *     - 'hash'    → /#/app or /#/web
+ *     - 'path'    → /app/* is App UX, everything else Web UX (needs SPA fallback on the host)
  *     - 'runtime' → single entry; mode chosen by display-mode (standalone=app, browser=web)
  *
  * Minimal config examples:
@@ -29,11 +30,159 @@
  *   // Hash strategy (GitHub Pages/Netlify friendly)
  *   dualux.configure({ routing: { strategy: 'hash' } });
  *
+ *   // Path prefix (History API; /app/orders/42 ↔ /orders/42 without reloads)
+ *   dualux.configure({ routing: { strategy: 'path', prefix: '/app' } });
+ *
  *   // Runtime-only (no deep links; zero config)
  *   dualux.configure({ routing: { strategy: 'runtime' } });
  *
  * Everything else (display-mode rules, fullscreen behavior) remains unchanged.
  * =================================================================================================
+ *
+ * NAMED EVENTS
+ *   dualux.on(name, handler) / dualux.once(name, handler) / dualux.off(name, handler)
+ *     - 'ready'             → after init(); previous is null (or the pre-painted state, see PRE-PAINT)
+ *     - 'displaymodechange' → display mode changed (media query / fullscreen)
+ *     - 'beforeuxchange'    → UX is about to change; call detail.preventDefault() to keep the current UX
+ *     - 'uxchange'          → UX changed
+ *     - 'change'            → legacy catch-all, fired after every state update (and on init, unless
+ *                             init() only confirmed the pre-painted state)
+ *   Every detail carries { previous, next, source, detection, rule, experiment } where previous/next
+ *   are { displayMode, uxMode, isStandalone } snapshots and detection is { detector, confidence };
+ *   rule / experiment ({ id, bucket }) name what decided the UX (see UX RULES). Other events carry
+ *   rule / experiment too. The same events are dispatched on `document`
+ *   as CustomEvents prefixed with 'dualux:' (e.g. 'dualux:uxchange').
+ * =================================================================================================
+ *
+ * PERSISTED OVERRIDES
+ *   switchUx() remembers the chosen UX and init() restores it (source: 'storage') under
+ *   persistence.override: 'session' (default) | 'ttl' | 'permanent' | 'none'.
+ *   URL intent still wins over a stored override. dualux.clearOverride() forgets the choice,
+ *   dualux.reset() removes the remembered choice (of both window kinds), the state record and the
+ *   schema marker, then re-detects. It keeps `:experiment:<id>` buckets, `:installed` (the app stays
+ *   installed), the sessionStorage `:launch` marker (re-detection needs it) and the `:sync` channel record.
+ * =================================================================================================
+ *
+ * INSTALL LIFECYCLE
+ *   The runtime captures `beforeinstallprompt` / `appinstalled` and exposes canInstall(),
+ *   promptInstall() and isInstalled(), with 'installable', 'installprompt', 'installed' and
+ *   'installdismissed' events.
+ *   install.element (default 'pwa-install') is fed the deferred prompt and only opened in install.showIn.
+ *   install.afterInstall: 'switch' | 'navigate' moves the page into the App UX after installation.
+ * =================================================================================================
+ *
+ * DECLARATIVE SURFACES
+ *   Any element with data-dualux="app" | "web" | "app standalone" | ... is shown/hidden on every render.
+ *   UX tokens (app, web), display-mode tokens (browser, standalone, fullscreen) and connectivity
+ *   tokens (online, offline) are OR-ed within their group and the groups AND-ed;
+ *   'standalone' also matches any installed app window (minimal-ui, window-controls-overlay) and an
+ *   installed session that went fullscreen.
+ *   Inserted nodes are picked up by a MutationObserver. <html> mirrors the state as
+ *   data-dualux-ux / data-dualux-display for CSS-only styling.
+ * =================================================================================================
+ *
+ * PER-UX METADATA
+ *   head: { web: {...}, app: {...} } with title, themeColor, description, robots, canonical,
+ *   colorScheme and background (the --dualux-bg custom property), or data-dualux-title,
+ *   -theme-color, -description, -robots, -canonical, -color-scheme, -bg on the UX target.
+ *   Applied on every render; fields a UX leaves out are restored to the document's original value.
+ * =================================================================================================
+ *
+ * LAZY UX MODULES
+ *   dualux.register('app', () => import('/js/app-shell.js'));
+ *   The loader runs the first time that UX becomes active; the module's mount(el, ctx) is called
+ *   on the UX target on every activation and unmount(el, ctx) when the UX is left.
+ *   <template data-dualux-lazy> inside a target is instantiated the first time its UX is shown.
+ * =================================================================================================
+ *
+ * ANIMATED SWITCHING
+ *   transitions.enabled wraps UX changes in document.startViewTransition(), or in a CSS class-based
+ *   fallback (`transitions.fallbackClass` on <html> for `transitions.duration` ms) where unsupported.
+ *   <html data-dualux-transition="…"> names the direction (transitions.names['web-app'|'app-web']).
+ *   prefers-reduced-motion skips the animation. Events are emitted once the transition finished.
+ * =================================================================================================
+ *
+ * SERVICE WORKER STATE
+ *   With serviceWorker.postState (default on) the controlling worker receives
+ *   { type: 'DUALUX_STATE', uxMode, displayMode, isStandalone } on init and after every change,
+ *   so sw.js can pick per-UX caching policies.
+ * =================================================================================================
+ *
+ * CONNECTIVITY
+ *   dualux.isOnline() with 'online' / 'offline' events; <html data-dualux-network="online|offline">.
+ *   'cached' fires when sw.js served this page or one of its requests from cache because the
+ *   network was unavailable (detail.reason: 'network-unavailable' | 'offline-fallback').
+ * =================================================================================================
+ *
+ * OFFLINE WRITE QUEUE
+ *   sw.js queues /api/ writes that fail offline and replays them (Background Sync, or when a page
+ *   loads / comes back online). 'queuechange' carries { length, nextRetryAt }, 'replay' the
+ *   per-request { url, method, ok, status, dropped } results. dualux.queueLength(), dualux.replayQueue().
+ * =================================================================================================
+ *
+ * INSTANCES & TEARDOWN
+ *   createDualUx(config) returns an independent runtime with its own storage namespace
+ *   (config.storageKey, default 'dualux-<n>'); the `dualux` export is the default instance.
+ *   Each instance renders into its own scope: config.root (element or selector) when given, else
+ *   <html> for `dualux` and the two UX targets for createDualUx() instances. data-dualux-ux/-display/
+ *   -network go on the scope, which is marked data-dualux-instance="<storageKey>"; surfaces are only
+ *   toggled by the instance whose scope is nearest to them. Only `dualux` applies `head` unless
+ *   config.manageHead says otherwise. Every event detail carries the instance's storageKey.
+ *   destroy() removes every listener, observer and timer and drops all subscriptions;
+ *   init() may be called again (it rebinds instead of stacking listeners).
+ * =================================================================================================
+ *
+ * UX RULES
+ *   rules: [{ id, when, ux }] or [{ id, when, experiment: { id, share } }], evaluated in order before
+ *   `mapping` whenever no override is active. when: { displayMode, standalone, minWidth, maxWidth,
+ *   pointer, url, test(ctx) }, all of which must hold. An experiment rule puts `share` of its visitors
+ *   in the App UX and the rest in the Web UX, sticky per browser (localStorage).
+ *   Rules run on init() and on display-mode changes, not on resize.
+ * =================================================================================================
+ *
+ * APP LAUNCHES
+ *   manifest.json share_target / protocol_handlers / file_handlers open URLs marked with
+ *   ?dualux-launch=share|protocol|file (sw.js redirects share-target GET/POST there and parks POSTed
+ *   files). init() and window.launchQueue turn them into launches: the page moves into the App UX
+ *   (source 'launch'), the address bar gets the App UX route, and dualux.onLaunch(cb) / 'launch'
+ *   receive { type, targetURL, title, text, url, files }.
+ * =================================================================================================
+ *
+ * WEB PUSH
+ *   dualux.push.subscribe() asks for notification permission, subscribes with push.vapidPublicKey and
+ *   POSTs { subscription, displayMode, uxMode, isStandalone } to push.endpoint; only from the UX in
+ *   push.ux (default 'app'). unsubscribe() drops it (DELETE { endpoint }), getSubscription() reads it.
+ *   sw.js shows pushed notifications; a click focuses an installed app window (DUALUX_NOTIFICATION)
+ *   or opens one, and either way arrives as a 'notification' launch at the App UX route (navTo()).
+ * =================================================================================================
+ *
+ * CROSS-WINDOW SYNC
+ *   sync.enabled broadcasts switchUx() / clearOverride() / reset() choices over a BroadcastChannel
+ *   named `${storageKey}:sync` (a localStorage record + `storage` event where unsupported).
+ *   Other windows follow with source 'sync', within sync.scope: 'peers' (default; app windows follow
+ *   app windows, browser tabs follow tabs) or 'all'. They do not persist the change again.
+ *   The scope applies to the persisted override too: under 'peers' installed app windows and
+ *   browser tabs each keep their own record.
+ *   dualux.isAppWindowOpen() asks whether an installed app window is open.
+ * =================================================================================================
+ *
+ * DISPLAY-MODE DETECTION
+ *   Display modes: browser | standalone | minimal-ui | window-controls-overlay | fullscreen, mapped to a
+ *   UX by mapping.{browserTo, standaloneTo, minimalUiTo, windowControlsOverlayTo}.
+ *   detection.detectors is an ordered chain; the first detector with an answer decides:
+ *     'fullscreen-api' → 'twa' (android-app:// referrer) → 'launch-marker' (detection.launchParam,
+ *     e.g. 'source=pwa' in start_url) → 'ios-standalone' → 'display-mode' (media queries)
+ *     → 'viewport-heuristic' (only where display-mode is unsupported).
+ *   Add { name, detect() } objects for custom checks; detect() returns null, a display mode or
+ *   { displayMode, confidence }. dualux.getDetection() and every detail report { detector, confidence }.
+ * =================================================================================================
+ *
+ * PRE-PAINT
+ *   prepaintSnippet(config) returns a tiny classic script for <head> that resolves the UX (display
+ *   mode, URL intent, persisted override) and sets <html data-dualux-ux> before first paint, hiding
+ *   the other target. init() adopts that state: no visible change, and no 'change' event when the
+ *   runtime agrees. Generate it with `node bin/dualux.mjs prepaint`.
+ * =================================================================================================
  */
 
 const DEFAULTS = {
@@ -43,8 +192,42 @@ const DEFAULTS = {
   // Selectors the runtime will show/hide by toggling `hiddenClass`
   targets: { web: '#web-ux', app: '#app-ux', hiddenClass: 'hidden' },
 
+  // Declarative surfaces: elements carrying `attribute` are toggled too (see surfaceVisible())
+  surfaces: { attribute: 'data-dualux', observe: true },
+
+  // Element (or selector) holding this instance's UX targets, data-dualux-* attributes and surfaces.
+  // null: <html> for the `dualux` export, the UX targets themselves for createDualUx() instances
+  root: null,
+
+  // Whether `head` is applied; only one instance per document should. null: the `dualux` export only
+  manageHead: null,
+
+  // Per-UX document metadata, applied on every render (see HEAD_FIELDS); data-dualux-* attributes on
+  // a target win over its entry, fields left out get the document's own value back
+  head: {
+    web: {}, // { title, themeColor, description, robots, canonical, colorScheme, background }
+    app: {}
+  },
+
   // Mapping for non-fullscreen cases only. Fullscreen is session-derived (see resolveUxMode()).
-  mapping: { standaloneTo: 'app', fullscreenTo: 'app', browserTo: 'web' },
+  mapping: {
+    standaloneTo: 'app',
+    minimalUiTo: 'app',
+    windowControlsOverlayTo: 'app',
+    fullscreenTo: 'app',
+    browserTo: 'web'
+  },
+
+  // Ordered UX rules, evaluated before `mapping` (see matchRules()); no override must be active.
+  // { id, when: { displayMode, standalone, minWidth, maxWidth, pointer, url, test }, ux | experiment: { id, share } }
+  rules: [],
+
+  // Display-mode detection: ordered detector chain, the first answer wins (see detectDisplayMode()).
+  // Custom detectors are { name, detect() } objects anywhere in the list.
+  detection: {
+    detectors: ['fullscreen-api', 'twa', 'launch-marker', 'ios-standalone', 'display-mode', 'viewport-heuristic'],
+    launchParam: null // start_url marker of installed launches, e.g. 'source=pwa'
+  },
 
   // Optional UX-specific navigation anchors when `switchUx(..., { navigate:true })` is used.
   // NOTE: If not provided, they will be derived from routing.strategy at runtime.
@@ -52,14 +235,71 @@ const DEFAULTS = {
 
   // HTACCESS-FREE strategy configuration
   routing: {
-    strategy: 'runtime',     // 'query' | 'hash' | 'runtime'
+    strategy: 'runtime',     // 'query' | 'hash' | 'path' | 'runtime'
     param: 'mode',           // query key for 'query' strategy: /?mode=app|web
     hashApp: '#/app',        // hash token for 'hash' strategy
-    hashWeb: '#/web'
+    hashWeb: '#/web',
+    prefix: '/app'           // App UX path prefix for 'path' strategy: /app/*
   },
 
   // localStorage key prefix
   storageKey: 'dualux',
+
+  // Animated UX switching (View Transitions API with a CSS class fallback)
+  transitions: {
+    enabled: false,
+    names: { 'web-app': 'dualux-to-app', 'app-web': 'dualux-to-web' },
+    fallbackClass: 'dualux-transition', // set on <html> while the fallback animation runs
+    duration: 300                       // ms the fallback class stays on
+  },
+
+  // Tell the controlling service worker about the client's UX (see sw.js UX_POLICIES)
+  serviceWorker: {
+    postState: true,
+    replayQueue: true // ask sw.js to replay its write queue on load and when back online
+  },
+
+  // Install prompt handling (see canInstall()/promptInstall())
+  install: {
+    element: 'pwa-install',  // <pwa-install> element driven by the runtime; null to leave it alone
+    showIn: 'web',           // UX in which that element may open: 'web' | 'app' | 'any' | null (never)
+    afterInstall: null       // null | 'switch' (App UX in place) | 'navigate' (deep-link into App UX)
+  },
+
+  // Web Push through dualux.push (see subscribePush()); sw.js shows the notifications
+  push: {
+    vapidPublicKey: null,   // application server key (base64url), required to subscribe
+    endpoint: '/api/push',  // same-origin: receives the subscription (POST) and its removal (DELETE)
+    ux: 'app'               // UX that may subscribe: 'app' | 'web' | 'any'
+  },
+
+  // Cross-window sync of switchUx()/clearOverride() choices over BroadcastChannel (`storage` event fallback)
+  sync: {
+    enabled: false,
+    scope: 'peers' // 'peers': only windows of the same kind follow, each kind remembers its own choice
+                   // (installed app windows / browser tabs); 'all'
+  },
+
+  // How long a switchUx() choice survives reloads
+  persistence: {
+    override: 'session',     // 'session' | 'ttl' | 'permanent' | 'none'
+    ttl: 7 * 24 * 60 * 60 * 1000 // ms, for 'ttl'
+  },
+};
+
+/** Version of the records written under `storageKey`; bump together with a MIGRATIONS entry. */
+const STORAGE_SCHEMA = 2;
+
+/**
+ * Storage migrations keyed by the schema version they upgrade from.
+ * Each receives localStorage and the key prefix.
+ */
+const MIGRATIONS = {
+  // v1 wrote flat displayMode/uxMode/isStandalone strings. They held detected state rather than
+  // a user choice, so there is nothing to carry over.
+  1(area, base) {
+    ['displayMode', 'uxMode', 'isStandalone'].forEach((k) => area.removeItem(`${base}:${k}`));
+  },
 };
 
 /** Returns v if defined, otherwise default d. */
@@ -69,44 +309,404 @@ function clamp(v, d) { return (v === undefined ? d : v); }
  * Debounce helper for noisy events (e.g., media query changes).
  * @param {Function} fn
  * @param {number} ms
- * @returns {Function} debounced function
+ * @returns {Function} debounced function; `.cancel()` drops a pending call
  */
 function debounce(fn, ms = 50) {
   let t;
-  return function (...args) {
+  const debounced = function (...args) {
     if (t) window.clearTimeout(t);
     t = window.setTimeout(() => fn.apply(this, args), ms);
   };
+  debounced.cancel = () => {
+    if (t) window.clearTimeout(t);
+    t = null;
+  };
+  return debounced;
 }
 
 /** Conditional logger with unified prefix. */
 function log(enabled, ...args) { if (enabled) console.log('[DUAL-UX]', ...args); }
 
 /**
- * Detect the active "display mode".
- * @returns {'fullscreen'|'standalone'|'browser'}
+ * Resolve a Web Storage area; access itself throws when storage is disabled.
+ * @param {'localStorage'|'sessionStorage'} name
+ * @returns {?Storage}
+ */
+function storageArea(name) {
+  try { return window[name] || null; } catch (_) { return null; }
+}
+
+/** Read a JSON record, null when missing or unreadable. */
+function readRecord(area, key) {
+  try {
+    const raw = area && area.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (_) { return null; }
+}
+
+/** Write a JSON record; quota and privacy-mode errors are ignored. */
+function writeRecord(area, key, value) {
+  try { if (area) area.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+
+/**
+ * Bring the records under `base` to STORAGE_SCHEMA.
+ * A schema newer than this runtime (downgrade) cannot be read, so its records are dropped.
+ * @param {string} base
+ */
+function migrateStorage(base) {
+  const area = storageArea('localStorage');
+  if (!area) return;
+  try {
+    const key = `${base}:schema`;
+    let version = Number(area.getItem(key)) || 1;
+    if (version === STORAGE_SCHEMA) return;
+
+    if (version > STORAGE_SCHEMA) {
+      ['state', 'override', `override${APP_WINDOW_SUFFIX}`].forEach((k) => area.removeItem(`${base}:${k}`));
+      version = STORAGE_SCHEMA;
+    }
+    for (; version < STORAGE_SCHEMA; version++) {
+      if (MIGRATIONS[version]) MIGRATIONS[version](area, base);
+    }
+    area.setItem(key, String(STORAGE_SCHEMA));
+  } catch (_) {}
+}
+
+/**
+ * Appended to the override key of installed app windows while sync.scope is 'peers', so a choice made
+ * in a browser tab does not carry over to the next app launch (and vice versa).
+ */
+const APP_WINDOW_SUFFIX = ':app-window';
+
+/** Display modes of an installed app window (the session is standalone, see isStandalone). */
+const APP_WINDOW_MODES = ['standalone', 'minimal-ui', 'window-controls-overlay'];
+
+/** @param {string} displayMode @returns {boolean} */
+function isAppWindow(displayMode) { return APP_WINDOW_MODES.includes(displayMode); }
+
+/**
+ * Detect the active "display mode" by running a detector chain; the first detector with an answer wins.
+ * Entries are built-in detector names or { name, detect() } objects; detect() returns null (no opinion),
+ * a display mode, or { displayMode, confidence } with confidence in 0–1 (default 1).
+ * Self-contained: prepaintSnippet() serializes it (with the built-in detectors only).
+ * @param {Array<string|{name:string, detect:Function}>} chain
+ * @param {{launchParam:?string, launchKey:string}} options
+ * @returns {{displayMode:'fullscreen'|'standalone'|'minimal-ui'|'window-controls-overlay'|'browser',
+ *   detector:string, confidence:number}}
+ */
+function detectDisplayMode(chain, options) {
+  const opts = options || {};
+  const media = (mode) => window.matchMedia(`(display-mode: ${mode})`).matches;
+
+  // TWA and marker launches only signal on the first page; the session remembers them
+  const remember = (kind) => {
+    try { window.sessionStorage.setItem(opts.launchKey, kind); } catch (_) {}
+  };
+  const remembered = () => {
+    try { return window.sessionStorage.getItem(opts.launchKey); } catch (_) { return null; }
+  };
+
+  const builtins = {
+    // Element fullscreen (F11, requestFullscreen()) wins over the manifest display mode
+    'fullscreen-api': () => (document.fullscreenElement ? 'fullscreen' : null),
+
+    // Trusted Web Activity: Android opens the start URL with an android-app://<package> referrer
+    twa: () => {
+      if (/^android-app:\/\//.test(document.referrer || '')) {
+        remember('twa');
+        return { displayMode: 'standalone', confidence: 0.95 };
+      }
+      return remembered() === 'twa' ? { displayMode: 'standalone', confidence: 0.8 } : null;
+    },
+
+    // Opt-in start_url marker: detection.launchParam 'source=pwa' with start_url '/?source=pwa'
+    'launch-marker': () => {
+      if (!opts.launchParam) return null;
+      const [key, value = ''] = opts.launchParam.split('=');
+      if (new URLSearchParams(location.search).get(key) === value) {
+        remember('marker');
+        return { displayMode: 'standalone', confidence: 0.9 };
+      }
+      return remembered() === 'marker' ? { displayMode: 'standalone', confidence: 0.7 } : null;
+    },
+
+    'ios-standalone': () => (window.navigator.standalone === true ? 'standalone' : null),
+
+    'display-mode': () => ['fullscreen', 'standalone', 'minimal-ui', 'window-controls-overlay', 'browser']
+      .find(media) || null,
+
+    // Only reached where display-mode media queries are unsupported: a mobile page filling the screen
+    // without a referrer. Immersive browsers look the same, hence the low confidence.
+    'viewport-heuristic': () => {
+      const isMobile = /Android|iPhone|iPad|iPod/i.test(navigator.userAgent || '');
+      const fillsScreen = Math.abs(window.innerHeight - screen.height) <= 1 && window.innerWidth === screen.width;
+      return isMobile && typeof window.navigator.standalone === 'undefined' && !document.referrer && fillsScreen
+        ? { displayMode: 'standalone', confidence: 0.3 }
+        : null;
+    },
+  };
+
+  for (const entry of chain || []) {
+    const name = typeof entry === 'string' ? entry : (entry && entry.name) || 'custom';
+    const detect = typeof entry === 'string' ? builtins[entry] : entry && entry.detect;
+    if (typeof detect !== 'function') continue;
+
+    let result = null;
+    try { result = detect(); } catch (e) { console.error('[DUAL-UX] detector error', name, e); }
+    if (!result) continue;
+    if (typeof result === 'string') result = { displayMode: result };
+    return {
+      displayMode: result.displayMode,
+      detector: name,
+      confidence: typeof result.confidence === 'number' ? result.confidence : 1
+    };
+  }
+  return { displayMode: 'browser', detector: 'default', confidence: 0 };
+}
+
+/**
+ * UX for a display mode under `mapping`, ignoring any override.
+ * Self-contained: prepaintSnippet() serializes it.
+ * @param {object} mapping
+ * @param {string} displayMode
+ * @param {boolean} isStandalone
+ * @returns {'web'|'app'}
+ */
+function mapDisplayMode(mapping, displayMode, isStandalone) {
+  switch (displayMode) {
+    case 'standalone': return mapping.standaloneTo; // default: 'app'
+    case 'minimal-ui': return mapping.minimalUiTo; // default: 'app'
+    case 'window-controls-overlay': return mapping.windowControlsOverlayTo; // default: 'app'
+    case 'fullscreen': return isStandalone ? 'app' : 'web';
+    case 'browser':
+    default: return mapping.browserTo; // default: 'web'
+  }
+}
+
+/**
+ * First rule whose conditions all hold, with the UX it assigns; null when none matches.
+ * when: displayMode (string or list), standalone (boolean), minWidth / maxWidth (viewport px),
+ * pointer ('coarse' | 'fine' | 'none'), url (path prefix string or RegExp on path+query+hash),
+ * test(ctx) predicate. An experiment rule sends `share` (0–1) of its visitors to the App UX and the
+ * rest to the Web UX; the bucket sticks in localStorage under `${base}:experiment:${id}`.
+ * Self-contained: prepaintSnippet() serializes it.
+ * @param {object[]} rules
+ * @param {{displayMode:string, isStandalone:boolean}} state
+ * @param {string} base storageKey
+ * @returns {?{uxMode:'web'|'app', rule:string, experiment:?{id:string, bucket:'web'|'app'}}}
+ */
+function matchRules(rules, state, base) {
+  const width = window.innerWidth;
+  const holds = (when) => {
+    if (!when) return true;
+    const modes = [].concat(when.displayMode || []);
+    if (modes.length && !modes.includes(state.displayMode)) return false;
+    if (typeof when.standalone === 'boolean' && when.standalone !== state.isStandalone) return false;
+    if (when.minWidth && width < when.minWidth) return false;
+    if (when.maxWidth && width > when.maxWidth) return false;
+    if (when.pointer && !window.matchMedia(`(pointer: ${when.pointer})`).matches) return false;
+    if (when.url) {
+      // RegExps reach the pre-paint snippet as { source, flags }
+      const re = typeof when.url === 'string' ? null
+        : when.url instanceof RegExp ? when.url : new RegExp(when.url.source, when.url.flags);
+      const ok = re ? re.test(location.pathname + location.search + location.hash)
+        : location.pathname.startsWith(when.url);
+      if (!ok) return false;
+    }
+    if (typeof when.test === 'function' && !when.test({ ...state, width, url: new URL(location.href) })) return false;
+    return true;
+  };
+  const bucketOf = (experiment) => {
+    const key = `${base}:experiment:${experiment.id}`;
+    try {
+      const rec = JSON.parse(window.localStorage.getItem(key) || 'null');
+      if (rec && (rec.bucket === 'app' || rec.bucket === 'web')) return rec.bucket;
+    } catch (_) {}
+    const bucket = Math.random() < (experiment.share || 0) ? 'app' : 'web';
+    try { window.localStorage.setItem(key, JSON.stringify({ bucket, assignedAt: Date.now() })); } catch (_) {}
+    return bucket;
+  };
+
+  for (let i = 0; i < (rules || []).length; i++) {
+    const rule = rules[i];
+    const id = rule.id || `rule-${i}`;
+    let matched = false;
+    try { matched = holds(rule.when); } catch (e) { console.error('[DUAL-UX] rule error', id, e); }
+    if (!matched) continue;
+    if (rule.experiment) {
+      const bucket = bucketOf(rule.experiment);
+      return { uxMode: bucket, rule: id, experiment: { id: rule.experiment.id, bucket } };
+    }
+    if (rule.ux === 'app' || rule.ux === 'web') return { uxMode: rule.ux, rule: id, experiment: null };
+  }
+  return null;
+}
+
+/**
+ * <meta name> accessor for HEAD_FIELDS; null means absent, and setting null removes the element.
+ * @param {string} name
+ */
+function headMeta(name) {
+  const find = () => document.head && document.head.querySelector(`meta[name="${name}"]`);
+  return {
+    attr: `data-dualux-${name}`,
+    get: () => { const el = find(); return el ? el.getAttribute('content') : null; },
+    set: (value) => {
+      let el = find();
+      if (value === null) {
+        if (el) el.remove();
+        return;
+      }
+      if (!el) {
+        el = document.createElement('meta');
+        el.setAttribute('name', name);
+        document.head.appendChild(el);
+      }
+      el.setAttribute('content', value);
+    }
+  };
+}
+
+/** Document metadata switched per UX: head config key → target attribute and document accessors. */
+const HEAD_FIELDS = {
+  title: {
+    attr: 'data-dualux-title',
+    get: () => document.title,
+    set: (value) => { document.title = value || ''; }
+  },
+  themeColor: headMeta('theme-color'),
+  description: headMeta('description'),
+  robots: headMeta('robots'),
+  canonical: {
+    attr: 'data-dualux-canonical',
+    get: () => {
+      const el = document.head && document.head.querySelector('link[rel="canonical"]');
+      return el ? el.getAttribute('href') : null;
+    },
+    set: (value) => {
+      let el = document.head.querySelector('link[rel="canonical"]');
+      if (value === null) {
+        if (el) el.remove();
+        return;
+      }
+      if (!el) {
+        el = document.createElement('link');
+        el.setAttribute('rel', 'canonical');
+        document.head.appendChild(el);
+      }
+      el.setAttribute('href', value);
+    }
+  },
+  // Inline on <html>: both inherit, so status bar, UA widgets and the index.html background follow
+  colorScheme: {
+    attr: 'data-dualux-color-scheme',
+    get: () => document.documentElement.style.getPropertyValue('color-scheme') || null,
+    set: (value) => {
+      if (value === null) document.documentElement.style.removeProperty('color-scheme');
+      else document.documentElement.style.setProperty('color-scheme', value);
+    }
+  },
+  background: {
+    attr: 'data-dualux-bg',
+    get: () => document.documentElement.style.getPropertyValue('--dualux-bg') || null,
+    set: (value) => {
+      if (value === null) document.documentElement.style.removeProperty('--dualux-bg');
+      else document.documentElement.style.setProperty('--dualux-bg', value);
+    }
+  },
+};
+
+/** Query parameter marking launch URLs (manifest.json handlers, sw.js share target): its value is the type. */
+const LAUNCH_PARAM = 'dualux-launch';
+
+/** Query parameters of a launch URL, dropped from the address bar once the launch was handled. */
+const LAUNCH_FIELDS = [LAUNCH_PARAM, 'share', 'title', 'text', 'url'];
+
+/**
+ * Read a launch from a URL; null for ordinary URLs.
+ * `share` is the id of a POST share parked in sw.js.
+ * @param {string} href
+ * @returns {?{type:string, targetURL:string, title:?string, text:?string, url:?string, shareId:?string, files:File[]}}
+ */
+function parseLaunch(href) {
+  const target = new URL(href, location.href);
+  const type = target.searchParams.get(LAUNCH_PARAM);
+  if (!type) return null;
+  const get = (key) => target.searchParams.get(key);
+  return { type, targetURL: target.href, title: get('title'), text: get('text'), url: get('url'), shareId: get('share'), files: [] };
+}
+
+/** Initialized runtimes that receive window.launchQueue launches. */
+const launchReceivers = new Set();
+// Launches that arrived while no runtime was initialized; the next one to join gets them
+const launchBacklog = [];
+let launchConsumerSet = false;
+
+/**
+ * window.launchQueue takes a single consumer, and setting another replaces it: one consumer,
+ * set on first use, dispatches to every initialized runtime.
+ * @returns {Function} leave the queue
+ */
+function joinLaunchQueue(runtime) {
+  launchReceivers.add(runtime);
+  if (!launchConsumerSet) {
+    launchConsumerSet = true;
+    window.launchQueue.setConsumer((params) => {
+      if (!launchReceivers.size) launchBacklog.push(params);
+      launchReceivers.forEach((r) => r.onLaunchParams(params));
+    });
+  }
+  launchBacklog.splice(0).forEach((params) => runtime.onLaunchParams(params));
+  return () => launchReceivers.delete(runtime);
+}
+
+/** Decode a base64url string (a VAPID public key) into the bytes pushManager.subscribe() expects. */
+function base64UrlToBytes(value) {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+/** Random id for sync messages and queries. */
+function uid() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/** Surface tokens naming a UX or connectivity; every other token names a display mode. */
+const UX_TOKENS = ['app', 'web'];
+const NETWORK_TOKENS = ['online', 'offline'];
+
+/**
+ * Decide whether a data-dualux surface is visible for a state.
+ * @param {string} spec attribute value, e.g. "app standalone", "app offline"
+ * @param {{displayMode:string, uxMode:string, isStandalone:boolean, online:boolean}} state
+ * @returns {boolean}
+ */
+function surfaceVisible(spec, state) {
+  const tokens = String(spec || '').trim().split(/\s+/).filter(Boolean);
+  const ux = tokens.filter((t) => UX_TOKENS.includes(t));
+  const network = tokens.filter((t) => NETWORK_TOKENS.includes(t));
+  const display = tokens.filter((t) => !UX_TOKENS.includes(t) && !NETWORK_TOKENS.includes(t));
+  const displayOk = !display.length ||
+    display.includes(state.displayMode) ||
+    (state.isStandalone && display.includes('standalone'));
+  const networkOk = !network.length || network.includes(state.online ? 'online' : 'offline');
+  return (!ux.length || ux.includes(state.uxMode)) && displayOk && networkOk;
+}
+
+/**
+ * Build an event detail from two state snapshots.
+ * Top-level displayMode/uxMode/changed/source keep the v1.0 payload shape for existing handlers.
+ * @param {?{displayMode:string, uxMode:string, isStandalone:boolean}} previous
+ * @param {{displayMode:string, uxMode:string, isStandalone:boolean}} next
+ * @param {string} source
+ * @param {{detection:object, rule:?string, experiment:?object}} why what decided the display mode and UX
  */
-function detectDisplayMode() {
-  if (document.fullscreenElement) return 'fullscreen';
-
-  const isMediaStandalone = window.matchMedia('(display-mode: standalone)').matches;
-  const isMediaFullscreen = window.matchMedia('(display-mode: fullscreen)').matches;
-  const isMediaBrowser = window.matchMedia('(display-mode: browser)').matches;
-  const isSafariStandalone = window.navigator && window.navigator.standalone === true;
-
-  const ua = navigator.userAgent || '';
-  const isMobile = /Android|iPhone|iPad|iPod/i.test(ua);
-  const isLikelyChromeStandalone =
-    isMobile &&
-    typeof (window.navigator || {}).standalone === 'undefined' &&
-    !document.referrer &&
-    Math.abs(window.innerHeight - screen.height) <= 1 &&
-    window.innerWidth === screen.width;
-
-  if (isMediaStandalone || isSafariStandalone || isLikelyChromeStandalone) return 'standalone';
-  if (isMediaFullscreen) return 'fullscreen';
-  if (isMediaBrowser) return 'browser';
-  return 'browser';
+function makeDetail(previous, next, source, why) {
+  const changed = !previous ||
+    previous.displayMode !== next.displayMode ||
+    previous.uxMode !== next.uxMode;
+  return { displayMode: next.displayMode, uxMode: next.uxMode, changed, source, previous, next, ...why };
 }
 
 /** URL helpers for strategy-based deep linking (no htaccess). */
@@ -127,22 +727,52 @@ const UrlStrategy = {
       if (h.startsWith(r.hashWeb || '#/web')) return 'web';
       return null;
     }
+    if (strategy === 'path') {
+      // `this`, not UrlStrategy: prepaintSnippet() serializes this method together with splitPath()
+      return this.splitPath(cfg, location.pathname).inApp ? 'app' : 'web';
+    }
     return null; // 'runtime' does not signal via URL
   },
 
-  /** Compute navigation target for a given UX ('app'|'web') */
-  navTo(cfg, to) {
+  /**
+   * Split a pathname on the 'path' strategy prefix.
+   * '/app/orders/42' → { inApp: true, rest: '/orders/42' }; '/orders/42' → { inApp: false, rest: '/orders/42' }
+   * @returns {{inApp:boolean, rest:string}}
+   */
+  splitPath(cfg, pathname) {
+    const prefix = ((cfg.routing || {}).prefix || '/app').replace(/\/+$/, '');
+    if (pathname === prefix) return { inApp: true, rest: '/' };
+    if (pathname.startsWith(prefix + '/')) return { inApp: true, rest: pathname.slice(prefix.length) };
+    return { inApp: false, rest: pathname };
+  },
+
+  /**
+   * Compute navigation target for a given UX ('app'|'web')
+   * @param {object} cfg
+   * @param {'app'|'web'} to
+   * @param {{pathname:string, search:string, hash:string, href:string}} [at] URL to start from, default: location
+   */
+  navTo(cfg, to, at = location) {
+    const r = cfg.routing || {};
+    const strategy = r.strategy || 'runtime';
+
+    // 'path' keeps the sub-path, so explicit home routes do not apply
+    if (strategy === 'path') {
+      const prefix = (r.prefix || '/app').replace(/\/+$/, '');
+      const { rest } = UrlStrategy.splitPath(cfg, at.pathname);
+      const path = to === 'app' ? prefix + (rest === '/' ? '' : rest) : rest;
+      return path + at.search + at.hash;
+    }
+
     // Prefer explicit routes if provided
     const explicit = to === 'app' ? cfg.routes.appHome : cfg.routes.webHome;
     if (explicit) return explicit;
 
     // Otherwise synthesize from routing.strategy
-    const r = cfg.routing || {};
-    const strategy = r.strategy || 'runtime';
 
     if (strategy === 'query') {
       const key = r.param || 'mode';
-      const url = new URL(location.href);
+      const url = new URL(at.href);
       url.searchParams.set(key, to);
       url.hash = ''; // keep clean
       return url.pathname + '?' + url.searchParams.toString(); // relative
@@ -150,191 +780,1147 @@ const UrlStrategy = {
 
     if (strategy === 'hash') {
       const token = to === 'app' ? (r.hashApp || '#/app') : (r.hashWeb || '#/web');
-      return location.pathname + location.search + token; // keep current path/query, add hash
+      return at.pathname + at.search + token; // keep current path/query, add hash
     }
 
     // 'runtime': no special deep link—stay on the same entry
-    return location.pathname + location.search + (location.hash || '');
+    return at.pathname + at.search + (at.hash || '');
   }
 };
 
+/**
+ * Pre-paint bootstrap, serialized by prepaintSnippet() into an inline <head> script.
+ * Must stay self-contained: everything it needs arrives as arguments.
+ * Mirrors init() steps 1–3 and marks <html> so the other UX target is hidden before first paint.
+ * @param {{routing:object, mapping:object, rules:object[], appWindowModes:string[], storageKey:string,
+ *   detectors:string[], detectOptions:object, overrideKeys:{browser:string, appWindow:string}, overridePolicy:string, css:string}} cfg
+ * @param {Function} detect detectDisplayMode
+ * @param {Function} map mapDisplayMode
+ * @param {?Function} match matchRules, null without rules
+ * @param {{readIntent:Function, splitPath:Function}} urls UrlStrategy subset
+ */
+function prepaint(cfg, detect, map, match, urls) {
+  try {
+    const displayMode = detect(cfg.detectors, cfg.detectOptions).displayMode;
+    const isStandalone = cfg.appWindowModes.includes(displayMode);
+    let ux = urls.readIntent(cfg);
+    if (!ux) {
+      const policy = cfg.overridePolicy;
+      const area = policy === 'session' ? window.sessionStorage
+        : (policy === 'ttl' || policy === 'permanent') ? window.localStorage : null;
+      const key = isStandalone ? cfg.overrideKeys.appWindow : cfg.overrideKeys.browser;
+      const rec = area && JSON.parse(area.getItem(key) || 'null');
+      if (rec && (rec.uxMode === 'app' || rec.uxMode === 'web') && !(rec.expiresAt && rec.expiresAt <= Date.now())) {
+        ux = rec.uxMode;
+      }
+    }
+    if (!ux) {
+      const hit = match && match(cfg.rules, { displayMode, isStandalone }, cfg.storageKey);
+      ux = hit ? hit.uxMode : map(cfg.mapping, displayMode, isStandalone);
+    }
+
+    const root = document.documentElement;
+    root.setAttribute('data-dualux-prepaint', ux);
+    root.setAttribute('data-dualux-ux', ux);
+    root.setAttribute('data-dualux-display', displayMode);
+    const style = document.createElement('style');
+    style.textContent = cfg.css;
+    document.head.appendChild(style);
+  } catch (_) {} // the runtime still renders on init()
+}
+
 class DualUxRuntime {
   constructor() {
     this.cfg = JSON.parse(JSON.stringify(DEFAULTS));
+    /** false for createDualUx() instances: they stay out of <html> and <head> unless configured to */
+    this.documentWide = true;
     this.mediaQueries = [];
-    this.handlers = new Set();
 
-    /** @type {'browser'|'standalone'|'fullscreen'} */ this.displayMode = 'browser';
+    /** @type {Map<string, Set<Function>>} event name → handlers */
+    this.handlers = new Map();
+
+    /** @type {'browser'|'standalone'|'minimal-ui'|'window-controls-overlay'|'fullscreen'} */
+    this.displayMode = 'browser';
     /** @type {'web'|'app'} */ this.uxMode = 'web';
 
+    // Set once init() ran
+    this.initialized = false;
+
     // Manual override (explicit switch or URL intent)
     this.uxOverride = null;
 
-    // True when actually in 'standalone' display mode (used for fullscreen derivation)
+    // True in an installed app window (standalone, minimal-ui, window-controls-overlay); used for
+    // fullscreen derivation
     this.isStandalone = false;
+
+    /** Detector that decided the display mode, and how sure it was (see detectDisplayMode()) */
+    this.detection = { detector: 'default', confidence: 0 };
+
+    /** Rule (and experiment bucket) that decided the UX; both null under an override or plain `mapping` */
+    this.decision = { rule: null, experiment: null };
+
+    // Connectivity as reported by the browser
+    this.online = true;
+
+    // Offline write queue as last reported by sw.js; the timer re-triggers a replay after backoff
+    this.queue = { length: 0, nextRetryAt: null };
+    this.replayTimer = null;
+
+    // Install lifecycle: captured `beforeinstallprompt` event and what we know about installation
+    this.deferredPrompt = null;
+    this.installed = false;
+    this.installDialogShown = false;
+
+    /** @type {?object} the document's own metadata per HEAD_FIELDS key, captured on first render */
+    this.headBaseline = null;
+
+    /** @type {?MutationObserver} picks up data-dualux surfaces inserted after render() */
+    this.surfaceObserver = null;
+
+    /** @type {Map<'web'|'app', {loader:Function, target:?string, hooks:?object, mounted:boolean}>} */
+    this.modules = new Map();
+    // Bumped on every activation so a slow loader cannot mount a UX that is no longer active
+    this.activation = 0;
+    // Bumped by unbind(): a commit() still in its transition when destroy() or a new init() ran stops there
+    this.bindings = 0;
+
+    /** @type {Function[]} undoes what init() bound (listeners, observers, timers); see unbind() */
+    this.teardown = [];
+
+    /** @type {?{id:string, post:Function, queries:Map<string, Function>}} cross-window sync, set up by init() */
+    this.sync = null;
+
+    // App launches: delivered ones wait here until onLaunch() is called; a POST share awaits sw.js
+    this.launches = [];
+    this.launchURL = null;
+    this.pendingShare = null;
+
+    /** Web Push: `dualux.push.subscribe()` etc. */
+    this.push = {
+      subscribe: () => this.subscribePush(),
+      unsubscribe: () => this.unsubscribePush(),
+      getSubscription: () => this.pushSubscription(),
+    };
   }
 
   configure(options) {
     if (!options) return;
     this.cfg.enableLogging = clamp(options.enableLogging, this.cfg.enableLogging);
     if (options.targets) this.cfg.targets = { ...this.cfg.targets, ...options.targets };
+    if (options.surfaces) this.cfg.surfaces = { ...this.cfg.surfaces, ...options.surfaces };
+    if (options.root !== undefined) this.cfg.root = options.root;
+    if (options.manageHead !== undefined) this.cfg.manageHead = options.manageHead;
+    if (options.head) {
+      this.cfg.head = {
+        web: { ...this.cfg.head.web, ...(options.head.web || {}) },
+        app: { ...this.cfg.head.app, ...(options.head.app || {}) }
+      };
+    }
     if (options.mapping) this.cfg.mapping = { ...this.cfg.mapping, ...options.mapping };
+    if (options.rules) this.cfg.rules = [...options.rules];
+    if (options.detection) this.cfg.detection = { ...this.cfg.detection, ...options.detection };
     if (options.routes) this.cfg.routes = { ...this.cfg.routes, ...options.routes };
     if (options.routing) this.cfg.routing = { ...this.cfg.routing, ...options.routing };
     if (options.storageKey) this.cfg.storageKey = options.storageKey;
+    if (options.transitions) {
+      const names = { ...this.cfg.transitions.names, ...(options.transitions.names || {}) };
+      this.cfg.transitions = { ...this.cfg.transitions, ...options.transitions, names };
+    }
+    if (options.serviceWorker) this.cfg.serviceWorker = { ...this.cfg.serviceWorker, ...options.serviceWorker };
+    if (options.install) this.cfg.install = { ...this.cfg.install, ...options.install };
+    if (options.persistence) this.cfg.persistence = { ...this.cfg.persistence, ...options.persistence };
+    if (options.sync) this.cfg.sync = { ...this.cfg.sync, ...options.sync };
+    if (options.push) this.cfg.push = { ...this.cfg.push, ...options.push };
   }
 
+  /**
+   * Detect, render and start listening. Calling it again re-detects and rebinds from scratch
+   * instead of stacking a second set of listeners.
+   */
   init() {
-    // 1) Detect display mode & session nature
-    this.displayMode = detectDisplayMode();
-    this.isStandalone = (this.displayMode === 'standalone');
+    // 0) A repeated init() (hot reload, tests) starts from a clean slate: an override set by an
+    //    unpersisted switchUx() must not outlive it
+    this.unbind();
+    this.uxOverride = null;
+    this.decision = { rule: null, experiment: null };
 
-    // 2) Read URL intent for query/hash strategies (sets initial override if present)
+    // 1) Detect display mode & session nature (and connectivity)
+    this.online = navigator.onLine !== false;
+    this.displayMode = this.detect();
+    this.isStandalone = isAppWindow(this.displayMode);
+
+    // 2) Read URL intent for query/hash/path strategies (sets initial override if present),
+    //    otherwise restore a choice persisted by an earlier switchUx()
+    migrateStorage(this.cfg.storageKey || 'dualux');
     const intent = UrlStrategy.readIntent(this.cfg);
+    const stored = intent ? null : this.readOverride();
     if (intent === 'app' || intent === 'web') this.uxOverride = intent;
+    else if (stored) this.uxOverride = stored;
 
-    // 3) Resolve UX and persist
-    this.uxMode = this.resolveUxMode();
+    // 3) Resolve UX (override, rules, mapping) and persist
+    const decision = this.resolveDecision();
+    this.uxMode = decision.uxMode;
+    this.decision = { rule: decision.rule, experiment: decision.experiment };
     this.persistState();
 
     log(this.cfg.enableLogging, 'Mode Detected:', {
       displayMode: this.displayMode,
       uxMode: this.uxMode,
       isStandalone: this.isStandalone,
+      rule: this.decision.rule,
       routing: this.cfg.routing,
       userAgent: navigator.userAgent
     });
 
-    // 4) Initial paint + notify
+    // 4) Initial paint + notify. A pre-paint snippet (prepaintSnippet()) may already show a UX:
+    //    adopt it as the previous state, so 'change' only fires when the runtime decided otherwise
+    //    (the snippet only ever marks <html>, for the `dualux` export)
+    const root = document.documentElement;
+    const prepainted = this.documentWide ? root.getAttribute('data-dualux-prepaint') : null;
+    const previous = prepainted ? {
+      displayMode: root.getAttribute('data-dualux-display'),
+      uxMode: prepainted,
+      isStandalone: isAppWindow(root.getAttribute('data-dualux-display'))
+    } : null;
+
+    this.initialized = true;
     this.render();
-    this.emit({ displayMode: this.displayMode, uxMode: this.uxMode, changed: true, source: intent ? 'url' : 'detection' });
+    if (prepainted) root.removeAttribute('data-dualux-prepaint'); // hiddenClass takes over from the snippet's CSS
+    this.activate(this.uxMode);
+    const ready = makeDetail(previous, this.snapshot(), intent ? 'url' : (stored ? 'storage' : 'detection'), this.why());
+    this.emit('ready', ready);
+    if (ready.changed) this.emit('change', ready);
+    this.postState();
 
     // 5) Bind media query observers (debounced)
     this.mediaQueries = [
       window.matchMedia('(display-mode: standalone)'),
+      window.matchMedia('(display-mode: minimal-ui)'),
+      window.matchMedia('(display-mode: window-controls-overlay)'),
       window.matchMedia('(display-mode: fullscreen)'),
       window.matchMedia('(display-mode: browser)'),
     ];
 
     const onModeMaybeChanged = debounce(() => {
-      const nextDisplay = detectDisplayMode();
+      const nextDisplay = this.detect();
       if (nextDisplay === this.displayMode) return;
 
       const prevDisplay = this.displayMode;
-      this.displayMode = nextDisplay;
+      let isStandalone = this.isStandalone;
+      if (isAppWindow(nextDisplay)) isStandalone = true;
+      if (nextDisplay === 'browser') isStandalone = false;
 
-      if (nextDisplay === 'standalone') this.isStandalone = true;
-      if (nextDisplay === 'browser') this.isStandalone = false;
+      const decision = this.resolveDecision(nextDisplay, isStandalone);
+      this.commit({ displayMode: nextDisplay, uxMode: decision.uxMode, isStandalone }, 'media', { decision });
 
-      if (!this.uxOverride) {
-        if (nextDisplay === 'fullscreen') {
-          this.uxMode = this.isStandalone ? 'app' : 'web';
-        } else {
-          this.uxMode = this.resolveUxMode();
-        }
-      }
-
-      this.persistState();
       log(this.cfg.enableLogging, 'Display mode changed:', {
         from: prevDisplay, to: this.displayMode, uxMode: this.uxMode, isStandalone: this.isStandalone
       });
-      this.render();
-      this.emit({ displayMode: this.displayMode, uxMode: this.uxMode, changed: true, source: 'media' });
     }, 50);
 
-    this.mediaQueries.forEach((mq) => mq.addEventListener('change', onModeMaybeChanged));
+    this.mediaQueries.forEach((mq) => this.listen(mq, 'change', onModeMaybeChanged));
+    this.teardown.push(() => onModeMaybeChanged.cancel());
 
     // 6) React to F11/ESC transitions
-    document.addEventListener('fullscreenchange', () => {
+    this.listen(document, 'fullscreenchange', () => {
       const nowFullscreen = !!document.fullscreenElement;
-      const nextDisplay = nowFullscreen ? 'fullscreen' : detectDisplayMode();
+      const detected = this.detect();
+      const nextDisplay = nowFullscreen ? 'fullscreen' : detected;
       if (nextDisplay === this.displayMode) return;
 
-      this.displayMode = nextDisplay;
+      // Leaving fullscreen re-derives the session nature unless the UX is pinned by an override
+      const isStandalone = (nowFullscreen || this.uxOverride)
+        ? this.isStandalone
+        : isAppWindow(nextDisplay);
 
-      if (!this.uxOverride) {
-        if (nowFullscreen) {
-          this.uxMode = this.isStandalone ? 'app' : 'web';
-        } else {
-          this.isStandalone = (this.displayMode === 'standalone');
-          this.uxMode = this.resolveUxMode();
-        }
-      }
+      const decision = this.resolveDecision(nextDisplay, isStandalone);
+      this.commit({ displayMode: nextDisplay, uxMode: decision.uxMode, isStandalone }, 'fullscreen', { decision });
 
-      this.persistState();
       log(this.cfg.enableLogging, 'Fullscreenchange:', {
         fullscreen: nowFullscreen, displayMode: this.displayMode, uxMode: this.uxMode, isStandalone: this.isStandalone
       });
-      this.render();
-      this.emit({ displayMode: this.displayMode, uxMode: this.uxMode, changed: true, source: 'fullscreen' });
     });
-  }
-
-  /** @returns {'browser'|'standalone'|'fullscreen'} */
-  getDisplayMode() { return this.displayMode; }
-
-  /** @returns {'web'|'app'} */
-  getUxMode() { return this.uxMode; }
 
-  /**
-   * Programmatically switch UX.
-   * @param {'web'|'app'} to
-   * @param {{persist?:boolean,navigate?:boolean,requestFullscreen?:boolean}} [options]
-   * @returns {{displayMode:string, uxMode:string, changed:boolean, source:'switch'}}
-   */
-  async switchUx(to, options) {
-    const opts = options || {};
-    const persist = opts.persist !== false;
-    const navigate = !!opts.navigate;
-    const requestFullscreen = !!opts.requestFullscreen;
+    // 7) 'path' strategy: back/forward re-resolves the UX from the URL without a page load
+    if (this.cfg.routing.strategy === 'path') {
+      this.listen(window, 'popstate', async () => {
+        const next = UrlStrategy.readIntent(this.cfg);
+        if (!next || next === this.uxMode) return;
 
-    const prev = this.uxMode;
-    this.uxOverride = to;
-    this.uxMode = to;
+        const detail = await this.commit({ uxMode: next }, 'url', { override: next });
+        if (detail.superseded) return;
+        if (detail.cancelled) {
+          // Vetoed: put the URL back in line with the UX that stayed active
+          history.pushState({ dualux: this.uxMode }, '', UrlStrategy.navTo(this.cfg, this.uxMode));
+          return;
+        }
+        log(this.cfg.enableLogging, 'Popstate:', { path: location.pathname, uxMode: this.uxMode });
+      });
+    }
 
-    if (persist) this.persistState();
+    // 8) Surfaces inserted later (SPA views, lazy fragments) get the current visibility
+    const attr = this.cfg.surfaces.attribute;
+    if (attr && this.cfg.surfaces.observe && typeof MutationObserver !== 'undefined') {
+      this.surfaceObserver = new MutationObserver((records) => {
+        records.forEach((rec) => {
+          if (rec.type === 'attributes') {
+            this.renderSurfaces(rec.target);
+            return;
+          }
+          rec.addedNodes.forEach((node) => { if (node.nodeType === 1) this.renderSurfaces(node); });
+        });
+      });
+      this.scopes().forEach((scope) => this.surfaceObserver.observe(scope, {
+        childList: true, subtree: true, attributes: true, attributeFilter: [attr]
+      }));
+      this.teardown.push(() => {
+        this.surfaceObserver.disconnect();
+        this.surfaceObserver = null;
+      });
+    }
 
-    if (requestFullscreen && to === 'app') {
-      try {
-        const el = document.documentElement;
-        if (el && el.requestFullscreen) await el.requestFullscreen();
-      } catch (_) {}
+    // 9) Keep the service worker informed: a new controller (first install, update) has no state yet,
+    //    and an idle worker may have been restarted while the page was hidden
+    if (this.cfg.serviceWorker.postState && 'serviceWorker' in navigator) {
+      this.listen(navigator.serviceWorker, 'controllerchange', () => this.postState());
+      this.listen(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.postState();
+      });
     }
 
-    if (navigate) {
-      const url = UrlStrategy.navTo(this.cfg, to);
-      // Avoid infinite reload loops: only navigate when target differs
-      const current = location.pathname + location.search + location.hash;
-      if (current !== url) window.location.assign(url);
+    // 10) Connectivity, and the service worker telling us it answered from cache
+    this.listen(window, 'online', () => {
+      this.setOnline(true);
+      this.replayQueue();
+    });
+    this.listen(window, 'offline', () => this.setOnline(false));
+    if ('serviceWorker' in navigator) {
+      this.listen(navigator.serviceWorker, 'message', (e) => {
+        if (!e.data) return;
+        if (e.data.type === 'DUALUX_CACHE') {
+          log(this.cfg.enableLogging, 'Served from cache:', e.data);
+          this.emit('cached', {
+            displayMode: this.displayMode, uxMode: this.uxMode, online: this.online, url: e.data.url, reason: e.data.reason
+          });
+        }
+        if (e.data.type === 'DUALUX_QUEUE') this.onQueueMessage(e.data);
+        if (e.data.type === 'DUALUX_LAUNCH') this.onShareMessage(e.data);
+        if (e.data.type === 'DUALUX_NOTIFICATION') this.onNotificationMessage(e.data);
+        if (e.data.type === 'DUALUX_STATE_REQUEST') this.postState(); // sw.js lost track of this window
+      });
+      // Messages queue until the page opts in; the notice for this navigation may already be waiting
+      navigator.serviceWorker.startMessages();
+      this.replayQueue();
     }
 
-    const changed = prev !== this.uxMode;
-    this.render();
-    const detail = { displayMode: this.displayMode, uxMode: this.uxMode, changed, source: 'switch' };
-    this.emit(detail);
-    return detail;
-  }
+    // 11) Install lifecycle
+    this.installed = !!readRecord(storageArea('localStorage'), `${this.cfg.storageKey || 'dualux'}:installed`);
+    const el = this.installElement();
+    if (el) el.setAttribute('manual-chrome', ''); // the runtime decides when it opens (install.showIn)
 
-  on(_event, handler) { this.handlers.add(handler); }
-  off(_event, handler) { this.handlers.delete(handler); }
+    this.listen(window, 'beforeinstallprompt', (e) => {
+      e.preventDefault();
+      this.deferredPrompt = e;
+      // The browser only offers the prompt when the app is not installed (anymore)
+      this.setInstalled(false);
+      log(this.cfg.enableLogging, 'Installable:', { platforms: e.platforms });
+      this.emit('installable', { displayMode: this.displayMode, uxMode: this.uxMode, platforms: e.platforms || [] });
+      this.syncInstallElement();
+    });
 
-  resolveUxMode() {
-    if (this.uxOverride) return this.uxOverride;
-    const m = this.cfg.mapping;
-    switch (this.displayMode) {
-      case 'standalone': return m.standaloneTo; // default: 'app'
-      case 'fullscreen': return this.isStandalone ? 'app' : 'web';
-      case 'browser':
-      default: return m.browserTo; // default: 'web'
-    }
-  }
+    this.listen(window, 'appinstalled', () => {
+      this.deferredPrompt = null;
+      this.setInstalled(true);
+      log(this.cfg.enableLogging, 'Installed');
+      this.emit('installed', { displayMode: this.displayMode, uxMode: this.uxMode });
+      this.syncInstallElement();
 
-  render() {
-    const t = this.cfg.targets;
-    const hidden = t.hiddenClass || 'hidden';
+      const after = this.cfg.install.afterInstall;
+      if (after === 'switch' || after === 'navigate') {
+        this.switchUx('app', { navigate: after === 'navigate' });
+      }
+    });
+
+    // 12) Cross-window sync (opt-in)
+    if (this.cfg.sync.enabled) this.openSync();
+
+    // 13) App launches (share target, protocol and file handlers) land in the App UX
+    const launch = parseLaunch(location.href);
+    const hasLaunchQueue = 'launchQueue' in window;
+    // Files come from launchQueue: a file launch is left to it, so it is not marked as handled here
+    this.launchURL = launch && !(launch.type === 'file' && hasLaunchQueue) ? launch.targetURL : null;
+    if (launch && launch.shareId) this.requestShare(launch);
+    else if (this.launchURL) this.handleLaunch(launch);
+    if (hasLaunchQueue) this.teardown.push(joinLaunchQueue(this));
+  }
+
+  /**
+   * Receive launches: the callback gets { type, targetURL, title, text, url, files, displayMode, uxMode }
+   * for every launch, including those that arrived before it was registered.
+   * type: 'share' | 'protocol' | 'file' | 'url' (a plain launch through launchQueue) | 'notification'
+   * (a clicked push notification; also carries the notification `action` and `data` when sw.js
+   * focused a running app window).
+   * @param {Function} callback
+   * @returns {Function} unsubscribe
+   */
+  onLaunch(callback) {
+    const off = this.on('launch', callback);
+    this.launches.splice(0).forEach((launch) => {
+      try { callback(launch); } catch (e) { console.error('[DUAL-UX] handler error', e); }
+    });
+    return off;
+  }
+
+  /**
+   * window.launchQueue consumer. A launch init() already handled from the page URL is skipped unless
+   * it brought files; a file launch is always handled here, even when no file could be read.
+   * @param {{targetURL?:string, files?:FileSystemFileHandle[]}} params
+   */
+  async onLaunchParams(params) {
+    const handles = params.files || [];
+    const files = (await Promise.all(handles.map((h) => h.getFile().catch(() => null)))).filter(Boolean);
+    const target = params.targetURL || location.href;
+    if (!files.length && target === this.launchURL) return;
+
+    const launch = parseLaunch(target) ||
+      { type: 'url', targetURL: target, title: null, text: null, url: null, shareId: null, files: [] };
+    this.launchURL = target;
+    this.handleLaunch({ ...launch, type: files.length ? 'file' : launch.type, files });
+  }
+
+  /** Ask sw.js for the POST share parked under launch.shareId; handled without it when no worker controls us. */
+  requestShare(launch) {
+    const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+    if (!controller) {
+      this.handleLaunch(launch);
+      return;
+    }
+    this.pendingShare = launch;
+    controller.postMessage({ type: 'DUALUX_LAUNCH', id: launch.shareId });
+  }
+
+  /** @param {{id:string, share:?{title:?string, text:?string, url:?string, files:File[]}}} msg DUALUX_LAUNCH from sw.js */
+  onShareMessage(msg) {
+    const launch = this.pendingShare;
+    if (!launch || msg.id !== launch.shareId) return;
+    this.pendingShare = null;
+    // null: the worker restarted or the share expired; the launch still opens the App UX
+    this.handleLaunch({ ...launch, ...(msg.share || {}) });
+  }
+
+  /**
+   * A notification was clicked while this page is the installed app window sw.js focused.
+   * @param {{targetURL:string, action:string, data:*}} msg DUALUX_NOTIFICATION from sw.js
+   */
+  onNotificationMessage(msg) {
+    const launch = parseLaunch(msg.targetURL);
+    if (!launch) return;
+    this.handleLaunch({ ...launch, action: msg.action || null, data: msg.data }, { navigate: true });
+  }
+
+  /**
+   * Move into the App UX (a veto in 'beforeuxchange' is respected), put the App UX route for the
+   * launch URL in the address bar and deliver the launch.
+   * @param {object} launch see parseLaunch()
+   * @param {{navigate?:boolean}} [options] navigate: push launch.targetURL (a running page) instead of
+   *   cleaning up the URL this page was opened with
+   */
+  async handleLaunch(launch, options) {
+    const { shareId, ...rest } = launch;
+    const navigate = !!(options && options.navigate);
+    log(this.cfg.enableLogging, 'Launch:', rest);
+    if (this.uxMode !== 'app') {
+      const detail = await this.commit({ uxMode: 'app' }, 'launch', { persist: false, override: 'app' });
+      if (detail.superseded) return; // destroy() or init() ran meanwhile
+    }
+
+    const url = new URL(navigate ? launch.targetURL : location.href);
+    if (url.searchParams.has(LAUNCH_PARAM)) {
+      LAUNCH_FIELDS.forEach((key) => url.searchParams.delete(key));
+      const route = this.cfg.routing.strategy !== 'runtime' && this.uxMode === 'app'
+        ? UrlStrategy.navTo(this.cfg, 'app', url)
+        : url.pathname + url.search + url.hash;
+      if (navigate) history.pushState({ dualux: this.uxMode }, '', route);
+      else history.replaceState({ dualux: this.uxMode }, '', route);
+    }
+
+    const detail = { displayMode: this.displayMode, uxMode: this.uxMode, ...rest };
+    const set = this.handlers.get('launch');
+    if (!set || !set.size) this.launches.push(detail); // kept for the first onLaunch()
+    this.emit('launch', detail);
+  }
+
+  /**
+   * Join the sync channel: BroadcastChannel, or `storage` events on the same key where unsupported.
+   * Torn down with the other init() bindings.
+   */
+  openSync() {
+    const name = `${this.cfg.storageKey || 'dualux'}:sync`;
+    const sync = { id: uid(), post: null, queries: new Map() };
+
+    if (typeof BroadcastChannel === 'function') {
+      const channel = new BroadcastChannel(name);
+      this.listen(channel, 'message', (e) => this.onSyncMessage(e.data));
+      this.teardown.push(() => channel.close());
+      sync.post = (msg) => channel.postMessage(msg);
+    } else {
+      // The storage event only fires in other windows, and only when the value changes (hence `nonce`)
+      this.listen(window, 'storage', (e) => {
+        if (e.key !== name || !e.newValue) return;
+        try { this.onSyncMessage(JSON.parse(e.newValue)); } catch (_) {}
+      });
+      sync.post = (msg) => writeRecord(storageArea('localStorage'), name, { ...msg, nonce: uid() });
+    }
+
+    this.sync = sync;
+    this.teardown.push(() => {
+      sync.queries.forEach((answer) => answer(false));
+      this.sync = null;
+    });
+  }
+
+  /** Tell the other windows about a changed override (null = cleared); no-op unless sync is on. */
+  broadcast(uxMode) {
+    if (!this.sync) return;
+    this.sync.post({
+      type: 'override', uxMode, from: this.sync.id, displayMode: this.displayMode, isStandalone: this.isStandalone
+    });
+  }
+
+  /**
+   * Handle a message from another window: follow its override (within sync.scope) or answer a query.
+   * Applied changes are not persisted or re-broadcast; the sending window already did both.
+   * @param {{type:string, from:string}} msg
+   */
+  async onSyncMessage(msg) {
+    const sync = this.sync;
+    if (!sync || !msg || msg.from === sync.id) return;
+
+    if (msg.type === 'ping') {
+      if (this.isStandalone) sync.post({ type: 'pong', from: sync.id, query: msg.query, displayMode: this.displayMode });
+      return;
+    }
+    if (msg.type === 'pong') {
+      const answer = sync.queries.get(msg.query);
+      if (answer) answer(true);
+      return;
+    }
+    if (msg.type !== 'override') return;
+    if (this.cfg.sync.scope !== 'all' && !!msg.isStandalone !== this.isStandalone) return;
+    if (msg.uxMode === this.uxOverride) return;
+
+    log(this.cfg.enableLogging, 'Sync:', { uxMode: msg.uxMode, from: msg.displayMode });
+    if (msg.uxMode) {
+      const detail = await this.commit({ uxMode: msg.uxMode }, 'sync', { persist: false, override: msg.uxMode });
+      if (detail.cancelled || detail.superseded) return;
+      if (this.cfg.persistence.override === 'session') this.writeOverride(msg.uxMode); // per-tab record
+    } else {
+      const decision = this.resolveDecision(this.displayMode, this.isStandalone, null);
+      const detail = await this.commit({ uxMode: decision.uxMode }, 'sync', { persist: false, override: null, decision });
+      if (detail.cancelled || detail.superseded) return;
+      this.removeOverride();
+    }
+
+    // 'path' reads the UX from the URL on back/forward and reload, so keep it in line
+    if (this.cfg.routing.strategy === 'path') {
+      history.replaceState({ dualux: this.uxMode }, '', UrlStrategy.navTo(this.cfg, this.uxMode));
+    }
+  }
+
+  /**
+   * Whether an installed app window of this origin is open, asked over the sync channel.
+   * @param {number} [timeout] ms to wait for an answer
+   * @returns {Promise<boolean>} true at once in an app window; false without sync.enabled
+   */
+  isAppWindowOpen(timeout = 300) {
+    if (this.isStandalone) return Promise.resolve(true);
+    const sync = this.sync;
+    if (!sync) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      const query = uid();
+      const timer = window.setTimeout(() => answer(false), timeout);
+      const answer = (open) => {
+        window.clearTimeout(timer);
+        sync.queries.delete(query);
+        resolve(open);
+      };
+      sync.queries.set(query, answer);
+      sync.post({ type: 'ping', from: sync.id, query });
+    });
+  }
+
+  /** addEventListener that unbind() undoes. */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.teardown.push(() => target.removeEventListener(type, handler));
+  }
+
+  /** Remove every listener, observer and timer bound by init(); state and subscriptions stay. */
+  unbind() {
+    this.bindings++;
+    this.teardown.splice(0).forEach((undo) => {
+      try { undo(); } catch (_) {}
+    });
+    if (this.replayTimer) window.clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    this.mediaQueries = [];
+  }
+
+  /**
+   * Tear the instance down: unbind everything, unmount the active UX module and drop all
+   * on()/once() subscriptions. The DOM keeps its last rendered state; init() may be called again.
+   */
+  destroy() {
+    this.unbind();
+    this.activation++; // a loader still in flight must not mount anymore
+
+    const ctx = { dualux: this, ...this.snapshot() };
+    this.modules.forEach((entry, ux) => {
+      if (!entry.mounted) return;
+      entry.mounted = false;
+      try {
+        if (typeof entry.hooks.unmount === 'function') entry.hooks.unmount(this.uxElement(ux), ctx);
+      } catch (e) { console.error('[DUAL-UX] unmount error', e); }
+    });
+
+    this.handlers.clear();
+    this.deferredPrompt = null;
+    this.pendingShare = null;
+    this.initialized = false;
+    log(this.cfg.enableLogging, 'Destroyed');
+  }
+
+  /** @returns {'browser'|'standalone'|'minimal-ui'|'window-controls-overlay'|'fullscreen'} */
+  getDisplayMode() { return this.displayMode; }
+
+  /** @returns {{detector:string, confidence:number}} what decided the current display mode */
+  getDetection() { return { ...this.detection }; }
+
+  /** Run the detector chain and remember which detector decided. @returns {string} display mode */
+  detect() {
+    const result = detectDisplayMode(this.cfg.detection.detectors, this.detectionOptions());
+    this.detection = { detector: result.detector, confidence: result.confidence };
+    return result.displayMode;
+  }
+
+  /** Options for detectDisplayMode(); launchKey remembers a TWA/marker launch for the session. */
+  detectionOptions() {
+    return {
+      launchParam: this.cfg.detection.launchParam,
+      launchKey: `${this.cfg.storageKey || 'dualux'}:launch`
+    };
+  }
+
+  /** @returns {'web'|'app'} */
+  getUxMode() { return this.uxMode; }
+
+  /** @returns {{displayMode:string, uxMode:string, isStandalone:boolean}} */
+  snapshot() {
+    return { displayMode: this.displayMode, uxMode: this.uxMode, isStandalone: this.isStandalone };
+  }
+
+  /**
+   * Programmatically switch UX.
+   * Resolves with `cancelled: true` (and nothing switched) when a 'beforeuxchange' handler vetoes it,
+   * and with `superseded: true` (nothing stored, broadcast or navigated) when destroy() or init() ran
+   * during the transition.
+   * @param {'web'|'app'} to
+   * @param {{persist?:boolean,navigate?:boolean,requestFullscreen?:boolean}} [options]
+   * @returns {Promise<{displayMode:string, uxMode:string, changed:boolean, source:'switch', cancelled:boolean, superseded?:boolean}>}
+   */
+  async switchUx(to, options) {
+    const opts = options || {};
+    const persist = opts.persist !== false;
+    const navigate = !!opts.navigate;
+    const requestFullscreen = !!opts.requestFullscreen;
+
+    const detail = await this.commit({ uxMode: to }, 'switch', { persist, override: to });
+    if (detail.cancelled || detail.superseded) return detail;
+    if (persist) {
+      this.writeOverride(to);
+      this.broadcast(to);
+    }
+
+    if (requestFullscreen && to === 'app') {
+      try {
+        const el = document.documentElement;
+        if (el && el.requestFullscreen) await el.requestFullscreen();
+      } catch (_) {}
+    }
+
+    if (navigate) {
+      const url = UrlStrategy.navTo(this.cfg, to);
+      // Avoid infinite reload loops: only navigate when target differs
+      const current = location.pathname + location.search + location.hash;
+      if (current !== url) {
+        if (this.cfg.routing.strategy === 'path') history.pushState({ dualux: to }, '', url);
+        else window.location.assign(url);
+      }
+    }
+
+    return detail;
+  }
+
+  /**
+   * Forget the switchUx()/URL override and fall back to the mapped UX.
+   * @returns {Promise<object>} change detail (source: 'clear'); `cancelled` when a 'beforeuxchange' handler vetoed it
+   */
+  async clearOverride() {
+    const decision = this.resolveDecision(this.displayMode, this.isStandalone, null);
+    const detail = await this.commit({ uxMode: decision.uxMode }, 'clear', { override: null, decision });
+    if (!detail.cancelled && !detail.superseded) {
+      this.removeOverride();
+      this.broadcast(null);
+    }
+    return detail;
+  }
+
+  /**
+   * Forget the remembered choice (`:override`, both window kinds), `:state` and `:schema`, then re-detect.
+   * Kept: `:experiment:<id>` buckets, `:installed`, the sessionStorage `:launch` marker (re-detection
+   * relies on it) and the `:sync` fallback record (reset() itself broadcasts through it).
+   * @returns {Promise<object>} change detail (source: 'reset')
+   */
+  reset() {
+    const base = this.cfg.storageKey || 'dualux';
+    this.removeOverride(true);
+    this.broadcast(null);
+    const area = storageArea('localStorage');
+    try {
+      ['state', 'schema'].forEach((k) => area && area.removeItem(`${base}:${k}`));
+    } catch (_) {}
+
+    const displayMode = this.detect();
+    const isStandalone = isAppWindow(displayMode);
+    const decision = this.resolveDecision(displayMode, isStandalone, null);
+    return this.commit({
+      displayMode,
+      uxMode: decision.uxMode,
+      isStandalone
+    }, 'reset', { persist: false, override: null, decision });
+  }
+
+  /**
+   * Register the mount module of a UX. It is loaded the first time the UX becomes active.
+   * The module (or its default export) may provide mount(el, ctx) and unmount(el, ctx);
+   * ctx is { dualux, displayMode, uxMode, isStandalone }.
+   * @param {'web'|'app'} ux
+   * @param {() => Promise<object>|object} loader e.g. () => import('/js/app-shell.js')
+   * @param {{target?:string}} [options] element to mount into; defaults to targets[ux]
+   */
+  register(ux, loader, options) {
+    const opts = options || {};
+    this.modules.set(ux, { loader, target: opts.target || null, hooks: null, mounted: false });
+    // Registered after init() while that UX is already showing
+    if (this.initialized && ux === this.uxMode) this.activate(ux);
+  }
+
+  /** @param {'web'|'app'} ux @returns {?Element} */
+  uxElement(ux) {
+    const entry = this.modules.get(ux);
+    const sel = (entry && entry.target) || this.cfg.targets[ux];
+    return this.query(sel);
+  }
+
+  /** @returns {?Element} config.root resolved, null when none is set (or it is not in the page) */
+  rootElement() {
+    const root = this.cfg.root;
+    if (!root) return null;
+    return typeof root === 'string' ? document.querySelector(root) : root;
+  }
+
+  /** Target lookup, inside config.root when one is set. @param {?string} sel @returns {?Element} */
+  query(sel) {
+    if (!sel) return null;
+    const root = this.rootElement();
+    return root ? root.querySelector(sel) : document.querySelector(sel);
+  }
+
+  /**
+   * Elements this instance renders into (see INSTANCES & TEARDOWN), each marked with its storageKey.
+   * @returns {Element[]}
+   */
+  scopes() {
+    const root = this.rootElement();
+    let els;
+    if (root) els = [root];
+    else if (this.documentWide) els = [document.documentElement];
+    else els = [this.uxElement('web'), this.uxElement('app')].filter((el, i, all) => el && all.indexOf(el) === i);
+    els.forEach((el) => el.setAttribute('data-dualux-instance', this.cfg.storageKey));
+    return els;
+  }
+
+  /** Whether a surface belongs to this instance: the nearest marked scope around it is one of ours. */
+  ownsSurface(el) {
+    const scope = el.closest('[data-dualux-instance]');
+    return !!scope && scope.getAttribute('data-dualux-instance') === this.cfg.storageKey;
+  }
+
+  /**
+   * Bring a UX to life: instantiate its lazy templates, unmount the other UX and mount this one,
+   * loading its module on first use. Loader and hook errors are logged, never thrown.
+   * @param {'web'|'app'} ux
+   * @returns {Promise<void>}
+   */
+  async activate(ux) {
+    const token = ++this.activation;
+    const el = this.uxElement(ux);
+
+    if (el) {
+      el.querySelectorAll('template[data-dualux-lazy]').forEach((tpl) => {
+        tpl.replaceWith(tpl.content.cloneNode(true));
+      });
+    }
+
+    const ctx = { dualux: this, ...this.snapshot() };
+    this.modules.forEach((entry, key) => {
+      if (key === ux || !entry.mounted) return;
+      entry.mounted = false;
+      try {
+        if (typeof entry.hooks.unmount === 'function') entry.hooks.unmount(this.uxElement(key), ctx);
+      } catch (e) { console.error('[DUAL-UX] unmount error', e); }
+    });
+
+    const entry = this.modules.get(ux);
+    if (!entry || entry.mounted) return;
+
+    try {
+      if (!entry.hooks) {
+        const mod = await entry.loader();
+        entry.hooks = (mod && typeof mod.mount !== 'function' && mod.default) ? mod.default : (mod || {});
+        log(this.cfg.enableLogging, 'Module loaded:', ux);
+      }
+      if (token !== this.activation || entry.mounted) return;
+      entry.mounted = true;
+      if (typeof entry.hooks.mount === 'function') await entry.hooks.mount(el, ctx);
+    } catch (e) {
+      console.error('[DUAL-UX] mount error', e);
+    }
+  }
+
+  /** @returns {boolean} false while the browser reports no network */
+  isOnline() { return this.online; }
+
+  /** @param {boolean} online */
+  setOnline(online) {
+    if (online === this.online) return;
+    this.online = online;
+    this.scopes().forEach((scope) => {
+      scope.setAttribute('data-dualux-network', online ? 'online' : 'offline');
+      this.renderSurfaces(scope);
+    });
+    log(this.cfg.enableLogging, online ? 'Online' : 'Offline');
+    this.emit(online ? 'online' : 'offline', { displayMode: this.displayMode, uxMode: this.uxMode, online });
+  }
 
-    const appEl = t.app ? document.querySelector(t.app) : null;
-    const webEl = t.web ? document.querySelector(t.web) : null;
+  /** @returns {number} writes waiting in the service worker queue (as last reported) */
+  queueLength() { return this.queue.length; }
+
+  /** Ask the service worker to replay its write queue now (no-op without one or while offline). */
+  replayQueue() {
+    if (!this.cfg.serviceWorker.replayQueue || !this.online || !('serviceWorker' in navigator)) return;
+    const controller = navigator.serviceWorker.controller;
+    if (controller) controller.postMessage({ type: 'DUALUX_REPLAY' });
+  }
+
+  /** @param {{length:number, nextRetryAt:?number, results?:object[]}} msg DUALUX_QUEUE from sw.js */
+  onQueueMessage(msg) {
+    const prevLength = this.queue.length;
+    this.queue = { length: msg.length, nextRetryAt: msg.nextRetryAt };
+    const base = { displayMode: this.displayMode, uxMode: this.uxMode, length: msg.length, nextRetryAt: msg.nextRetryAt };
+
+    if (msg.results && msg.results.length) {
+      log(this.cfg.enableLogging, 'Write queue replayed:', msg.results);
+      this.emit('replay', { ...base, results: msg.results });
+    }
+    if (msg.length !== prevLength) this.emit('queuechange', { ...base, previousLength: prevLength });
+
+    // Browsers without Background Sync only replay when asked, so come back once the backoff ran out
+    if (this.replayTimer) window.clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    if (msg.length && msg.nextRetryAt) {
+      this.replayTimer = window.setTimeout(() => this.replayQueue(), Math.max(0, msg.nextRetryAt - Date.now()));
+    }
+  }
+
+  /** Post the current state to the controlling service worker (no-op without one). */
+  postState() {
+    if (!this.cfg.serviceWorker.postState || !('serviceWorker' in navigator)) return;
+    const controller = navigator.serviceWorker.controller;
+    if (controller) controller.postMessage({ type: 'DUALUX_STATE', ...this.snapshot() });
+  }
+
+  /** @returns {boolean} true while a captured install prompt is available */
+  canInstall() { return !!this.deferredPrompt; }
+
+  /** @returns {boolean} installed per `appinstalled` (remembered across visits) or running standalone */
+  isInstalled() { return this.installed || this.isStandalone; }
+
+  /**
+   * Show the browser install prompt captured from `beforeinstallprompt`.
+   * The prompt can be used once; a dismissal emits 'installdismissed', acceptance is followed by 'installed'.
+   * @returns {Promise<{outcome:'accepted'|'dismissed'|'unavailable', platform?:string}>}
+   */
+  async promptInstall() {
+    const prompt = this.deferredPrompt;
+    if (!prompt) return { outcome: 'unavailable' };
+    this.deferredPrompt = null;
+    this.emit('installprompt', { displayMode: this.displayMode, uxMode: this.uxMode });
+
+    let choice;
+    try {
+      await prompt.prompt();
+      choice = await prompt.userChoice;
+    } catch (e) {
+      log(this.cfg.enableLogging, 'Install prompt failed:', e);
+      return { outcome: 'unavailable' };
+    }
+
+    if (choice.outcome === 'dismissed') {
+      this.emit('installdismissed', { displayMode: this.displayMode, uxMode: this.uxMode, platform: choice.platform });
+    }
+    this.syncInstallElement();
+    return choice;
+  }
+
+  /** @returns {Promise<?PushSubscription>} this browser's push subscription, null when none or unsupported */
+  async pushSubscription() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) return null;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      return await registration.pushManager.getSubscription();
+    } catch (e) {
+      log(this.cfg.enableLogging, 'Push subscription unavailable:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Ask for notification permission, subscribe with push.vapidPublicKey and hand the subscription to
+   * push.endpoint. Only allowed in the UX named by push.ux.
+   * 'unavailable': no support, service worker or key; 'not-allowed': wrong UX; 'failed': the browser or
+   * the endpoint refused (a subscription the endpoint did not take is dropped again).
+   * @returns {Promise<{outcome:'subscribed'|'unavailable'|'not-allowed'|'denied'|'failed', subscription?:PushSubscription}>}
+   */
+  async subscribePush() {
+    const { vapidPublicKey, endpoint, ux } = this.cfg.push;
+    if (ux !== 'any' && ux !== this.uxMode) return { outcome: 'not-allowed' };
+    if (!vapidPublicKey || !('serviceWorker' in navigator) || !('PushManager' in window) || !('Notification' in window)) {
+      return { outcome: 'unavailable' };
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') return { outcome: 'denied' };
+
+    let subscription;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlToBytes(vapidPublicKey) });
+    } catch (e) {
+      log(this.cfg.enableLogging, 'Push subscribe failed:', e);
+      return { outcome: 'failed' };
+    }
+
+    try {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subscription: subscription.toJSON(), ...this.snapshot() })
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (e) {
+      log(this.cfg.enableLogging, 'Push endpoint refused the subscription:', e);
+      try { await subscription.unsubscribe(); } catch (_) {}
+      return { outcome: 'failed' };
+    }
+
+    this.emit('pushsubscribe', { displayMode: this.displayMode, uxMode: this.uxMode, endpoint: subscription.endpoint });
+    return { outcome: 'subscribed', subscription };
+  }
+
+  /**
+   * Drop the push subscription and tell push.endpoint (best effort).
+   * @returns {Promise<boolean>} false when there was no subscription
+   */
+  async unsubscribePush() {
+    const subscription = await this.pushSubscription();
+    if (!subscription) return false;
+    try { await subscription.unsubscribe(); } catch (e) {
+      log(this.cfg.enableLogging, 'Push unsubscribe failed:', e);
+      return false;
+    }
+    try {
+      await fetch(this.cfg.push.endpoint, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint: subscription.endpoint })
+      });
+    } catch (_) {}
+    this.emit('pushunsubscribe', { displayMode: this.displayMode, uxMode: this.uxMode, endpoint: subscription.endpoint });
+    return true;
+  }
+
+  /** @param {boolean} installed */
+  setInstalled(installed) {
+    this.installed = installed;
+    const area = storageArea('localStorage');
+    const key = `${this.cfg.storageKey || 'dualux'}:installed`;
+    if (installed) {
+      writeRecord(area, key, { at: Date.now() });
+      return;
+    }
+    try { if (area) area.removeItem(key); } catch (_) {}
+  }
+
+  /** @returns {?Element} the configured <pwa-install> element */
+  installElement() {
+    const sel = this.cfg.install.element;
+    return sel ? document.querySelector(sel) : null;
+  }
+
+  /** Hand the deferred prompt to <pwa-install> and open/close it for the active UX. */
+  syncInstallElement() {
+    const el = this.installElement();
+    if (!el) return;
+    if (this.deferredPrompt) el.externalPromptEvent = this.deferredPrompt;
+
+    const showIn = this.cfg.install.showIn;
+    const wanted = this.canInstall() && !!showIn && (showIn === 'any' || showIn === this.uxMode);
+    if (wanted && !this.installDialogShown && typeof el.showDialog === 'function') {
+      el.showDialog();
+      this.installDialogShown = true;
+    } else if (!wanted && this.installDialogShown && typeof el.hideDialog === 'function') {
+      el.hideDialog();
+      this.installDialogShown = false;
+    }
+  }
+
+  /**
+   * Subscribe to a named event.
+   * @param {string} event
+   * @param {Function} handler receives the event detail
+   * @returns {Function} unsubscribe
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+    this.handlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /** Subscribe for a single delivery. @returns {Function} unsubscribe */
+  once(event, handler) {
+    const wrapper = (detail) => {
+      // Only this subscription: the same handler may also be registered through on()
+      const set = this.handlers.get(event);
+      if (set) set.delete(wrapper);
+      handler(detail);
+    };
+    wrapper.original = handler;
+    return this.on(event, wrapper);
+  }
+
+  off(event, handler) {
+    const set = this.handlers.get(event);
+    if (!set) return;
+    set.forEach((h) => { if (h === handler || h.original === handler) set.delete(h); });
+  }
+
+  /**
+   * Move to a new state and notify listeners.
+   * A UX change is announced first through the cancellable 'beforeuxchange'; when vetoed, the
+   * display-mode part still applies but the UX stays as it is and the detail has `cancelled: true`.
+   * State (and `options.override`, unless vetoed) is applied synchronously; the returned promise
+   * settles after the render transition, once the change events were emitted. When destroy() or init()
+   * ran during the transition none are, and the detail has `superseded: true`.
+   * `options.decision` is the rule outcome behind patch.uxMode (see resolveDecision()); an override
+   * clears it, otherwise the current one stays.
+   * @param {{displayMode?:string, uxMode?:string, isStandalone?:boolean}} patch
+   * @param {string} source
+   * @param {{persist?:boolean, override?:?('web'|'app'), decision?:object}} [options]
+   * @returns {Promise<object>} change detail
+   */
+  async commit(patch, source, options) {
+    const opts = options || {};
+    const persist = opts.persist !== false;
+    const previous = this.snapshot();
+    const next = { ...previous, ...patch };
+    const decision = opts.decision || (opts.override ? { rule: null, experiment: null } : this.decision);
+    let cancelled = false;
+
+    if (next.uxMode !== previous.uxMode &&
+        !this.emit('beforeuxchange', makeDetail(previous, next, source, this.why(decision)))) {
+      cancelled = true;
+      next.uxMode = previous.uxMode;
+    }
+
+    this.displayMode = next.displayMode;
+    this.uxMode = next.uxMode;
+    this.isStandalone = next.isStandalone;
+    if (!cancelled && 'override' in opts) this.uxOverride = opts.override;
+    if (!cancelled) this.decision = { rule: decision.rule, experiment: decision.experiment };
+
+    if (persist) this.persistState();
+    const bindings = this.bindings;
+    if (previous.uxMode !== next.uxMode) {
+      await this.transition(previous.uxMode, next.uxMode, () => this.render());
+    } else {
+      this.render();
+    }
+    if (bindings !== this.bindings) {
+      // Torn down meanwhile: nothing to announce, and callers must not persist or navigate either
+      return { ...makeDetail(previous, next, source, this.why()), cancelled, superseded: true };
+    }
+    if (previous.uxMode !== next.uxMode) {
+      this.syncInstallElement();
+      this.activate(next.uxMode);
+    }
+
+    const detail = { ...makeDetail(previous, next, source, this.why()), cancelled };
+    this.postState();
+    if (previous.displayMode !== next.displayMode) this.emit('displaymodechange', detail);
+    if (previous.uxMode !== next.uxMode) this.emit('uxchange', detail);
+    this.emit('change', detail);
+    return detail;
+  }
+
+  resolveUxMode(displayMode = this.displayMode, isStandalone = this.isStandalone) {
+    return this.resolveDecision(displayMode, isStandalone).uxMode;
+  }
+
+  /**
+   * UX with the reason for it: the override, else the first matching `rules` entry, else `mapping`.
+   * @param {string} [displayMode]
+   * @param {boolean} [isStandalone]
+   * @param {?('web'|'app')} [override] defaults to the active override
+   * @returns {{uxMode:'web'|'app', rule:?string, experiment:?{id:string, bucket:'web'|'app'}}}
+   */
+  resolveDecision(displayMode = this.displayMode, isStandalone = this.isStandalone, override = this.uxOverride) {
+    if (override) return { uxMode: override, rule: null, experiment: null };
+    const hit = matchRules(this.cfg.rules, { displayMode, isStandalone }, this.cfg.storageKey || 'dualux');
+    return hit || { uxMode: mapDisplayMode(this.cfg.mapping, displayMode, isStandalone), rule: null, experiment: null };
+  }
+
+  /**
+   * Why the state is what it is, for event details.
+   * @param {{rule:?string, experiment:?object}} [decision] defaults to the current one
+   */
+  why(decision = this.decision) {
+    return { detection: { ...this.detection }, rule: decision.rule, experiment: decision.experiment };
+  }
+
+  /** UX from `rules` and `mapping`, ignoring any override. */
+  mappedUxMode(displayMode = this.displayMode, isStandalone = this.isStandalone) {
+    return this.resolveDecision(displayMode, isStandalone, null).uxMode;
+  }
+
+  render() {
+    const t = this.cfg.targets;
+    const hidden = t.hiddenClass || 'hidden';
+
+    const appEl = this.query(t.app);
+    const webEl = this.query(t.web);
 
     const hide = (el) => el && el.classList.add(hidden);
     const show = (el) => el && el.classList.remove(hidden);
@@ -356,25 +1942,257 @@ class DualUxRuntime {
         if (appEl) show(appEl);
       }
     }
+
+    this.scopes().forEach((scope) => {
+      scope.setAttribute('data-dualux-ux', this.uxMode);
+      scope.setAttribute('data-dualux-display', this.displayMode);
+      scope.setAttribute('data-dualux-network', this.online ? 'online' : 'offline');
+      this.renderSurfaces(scope);
+    });
+    const manageHead = this.cfg.manageHead;
+    if (manageHead === null || manageHead === undefined ? this.documentWide : manageHead) this.applyHead();
   }
 
-  emit(detail) {
-    this.handlers.forEach((h) => {
-      try { h(detail); } catch (e) { console.error('[DUAL-UX] handler error', e); }
+  /**
+   * Apply the active UX's document metadata: head[ux], overridden by data-dualux-* on its target.
+   * Fields the UX does not set get the value the document had before the first render.
+   */
+  applyHead() {
+    const ux = this.uxMode;
+    const conf = this.cfg.head[ux] || {};
+    const el = this.query(this.cfg.targets[ux]);
+    if (!this.headBaseline) this.headBaseline = {};
+
+    Object.keys(HEAD_FIELDS).forEach((key) => {
+      const field = HEAD_FIELDS[key];
+      if (!(key in this.headBaseline)) this.headBaseline[key] = field.get();
+      const attr = el ? el.getAttribute(field.attr) : null;
+      const value = attr !== null ? attr : conf[key];
+      const next = (value === undefined || value === null) ? this.headBaseline[key] : String(value);
+      if (field.get() !== next) field.set(next);
     });
   }
 
-  persistState() {
+  /**
+   * Run a UX render inside a view transition (or the CSS fallback) when transitions are enabled.
+   * Resolves once the animation finished; never rejects.
+   * @param {'web'|'app'} from
+   * @param {'web'|'app'} to
+   * @param {Function} update applies the DOM change
+   */
+  async transition(from, to, update) {
+    const t = this.cfg.transitions;
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (!t.enabled || reduceMotion) {
+      update();
+      return;
+    }
+
+    const root = document.documentElement;
+    let updated = false;
+    const run = () => { updated = true; update(); };
+
+    root.setAttribute('data-dualux-transition', t.names[`${from}-${to}`] || `dualux-to-${to}`);
     try {
-      const base = this.cfg.storageKey || 'dualux';
-      localStorage.setItem(`${base}:displayMode`, this.displayMode);
-      localStorage.setItem(`${base}:uxMode`, this.uxMode);
-      localStorage.setItem(`${base}:isStandalone`, String(this.isStandalone));
+      if (typeof document.startViewTransition === 'function') {
+        await document.startViewTransition(run).finished;
+      } else {
+        root.classList.add(t.fallbackClass);
+        run();
+        await new Promise((resolve) => {
+          // unbind() ends the animation early instead of leaving the timer behind
+          const stop = () => {
+            window.clearTimeout(timer);
+            resolve();
+          };
+          const timer = window.setTimeout(() => {
+            const i = this.teardown.indexOf(stop);
+            if (i !== -1) this.teardown.splice(i, 1);
+            resolve();
+          }, t.duration);
+          this.teardown.push(stop);
+        });
+      }
+    } catch (e) {
+      log(this.cfg.enableLogging, 'Transition failed:', e);
+      if (!updated) update();
+    } finally {
+      root.classList.remove(t.fallbackClass);
+      root.removeAttribute('data-dualux-transition');
+    }
+  }
+
+  /**
+   * Toggle `hiddenClass` on the data-dualux surfaces in (and including) `scope`.
+   * @param {Document|Element} scope
+   */
+  renderSurfaces(scope) {
+    const attr = this.cfg.surfaces.attribute;
+    if (!attr || !scope) return;
+    const hidden = this.cfg.targets.hiddenClass || 'hidden';
+    const state = { ...this.snapshot(), online: this.online };
+
+    const apply = (el) => {
+      if (this.ownsSurface(el)) el.classList.toggle(hidden, !surfaceVisible(el.getAttribute(attr), state));
+    };
+    if (scope.nodeType === 1 && scope.hasAttribute(attr)) apply(scope);
+    scope.querySelectorAll(`[${attr}]`).forEach(apply);
+  }
+
+  /**
+   * Deliver a named event to subscribed handlers, then as a 'dualux:<event>' CustomEvent on document.
+   * 'beforeuxchange' is cancellable: handlers call detail.preventDefault(), DOM listeners e.preventDefault().
+   * @param {string} event
+   * @param {object} detail
+   * @returns {boolean} false when the event was cancelled
+   */
+  emit(event, detail) {
+    if (typeof event !== 'string') { detail = event; event = 'change'; } // v1.0 emit(detail)
+
+    const cancelable = event === 'beforeuxchange';
+    let prevented = false;
+    // Every event names its instance (storageKey) and the rule/experiment behind the current UX,
+    // so results can be attributed
+    const base = (detail && typeof detail === 'object')
+      ? { storageKey: this.cfg.storageKey, rule: this.decision.rule, experiment: this.decision.experiment, ...detail }
+      : detail;
+    const payload = cancelable
+      ? { ...base, preventDefault() { prevented = true; }, get defaultPrevented() { return prevented; } }
+      : base;
+
+    const set = this.handlers.get(event);
+    if (set) {
+      [...set].forEach((h) => {
+        try { h(payload); } catch (e) { console.error('[DUAL-UX] handler error', e); }
+      });
+    }
+
+    try {
+      const evt = new CustomEvent(`dualux:${event}`, { detail: payload, cancelable });
+      if (!document.dispatchEvent(evt)) prevented = true;
     } catch (_) {}
+
+    return !prevented;
+  }
+
+  persistState() {
+    const base = this.cfg.storageKey || 'dualux';
+    writeRecord(storageArea('localStorage'), `${base}:state`, this.snapshot());
+  }
+
+  /** Storage area holding the override for the configured policy, null for 'none'. */
+  overrideArea() {
+    switch (this.cfg.persistence.override) {
+      case 'session': return storageArea('sessionStorage');
+      case 'ttl':
+      case 'permanent': return storageArea('localStorage');
+      default: return null;
+    }
   }
+
+  /**
+   * Key of the persisted override. Under sync.scope 'peers' installed app windows and browser tabs
+   * keep one each; 'all' shares a single record.
+   * @param {boolean} [isStandalone]
+   */
+  overrideKey(isStandalone = this.isStandalone) {
+    const key = `${this.cfg.storageKey || 'dualux'}:override`;
+    return this.cfg.sync.scope !== 'all' && isStandalone ? key + APP_WINDOW_SUFFIX : key;
+  }
+
+  /** @returns {?('web'|'app')} the persisted override when present and not expired */
+  readOverride() {
+    const rec = readRecord(this.overrideArea(), this.overrideKey());
+    if (!rec || (rec.uxMode !== 'app' && rec.uxMode !== 'web')) return null;
+    if (rec.expiresAt && rec.expiresAt <= Date.now()) {
+      this.removeOverride();
+      return null;
+    }
+    return rec.uxMode;
+  }
+
+  /** @param {'web'|'app'} uxMode */
+  writeOverride(uxMode) {
+    const p = this.cfg.persistence;
+    const now = Date.now();
+    writeRecord(this.overrideArea(), this.overrideKey(), {
+      uxMode,
+      savedAt: now,
+      expiresAt: p.override === 'ttl' ? now + p.ttl : null
+    });
+  }
+
+  /**
+   * Remove the override from both areas so a policy change cannot leave a stale record behind.
+   * @param {boolean} [everywhere] also the other window kind's record (see overrideKey())
+   */
+  removeOverride(everywhere) {
+    const keys = everywhere ? [this.overrideKey(false), this.overrideKey(true)] : [this.overrideKey()];
+    ['localStorage', 'sessionStorage'].forEach((name) => {
+      const area = storageArea(name);
+      try { if (area) keys.forEach((key) => area.removeItem(key)); } catch (_) {}
+    });
+  }
+}
+
+/** Instances created by createDualUx() without an explicit storageKey, for their default namespace. */
+let instanceCount = 0;
+
+/**
+ * Create an independent runtime: its own state, listeners and storage namespace.
+ * Without `config.storageKey` the namespace is `dualux-<n>` in creation order; pass an explicit key
+ * when instances must find their persisted choice again after a reload.
+ * @param {object} [config] same shape as configure()
+ * @returns {DualUxRuntime}
+ */
+export function createDualUx(config) {
+  const runtime = new DualUxRuntime();
+  runtime.documentWide = false;
+  runtime.configure({ ...(config || {}), storageKey: (config && config.storageKey) || `dualux-${++instanceCount}` });
+  return runtime;
+}
+
+/**
+ * Source of the inline pre-paint script for a config (same shape as configure()).
+ * Put it in a classic <script> in <head>, before any stylesheet: it picks the UX from display mode,
+ * URL intent and the persisted override and hides the other target before first paint;
+ * init() then adopts that state. `node bin/dualux.mjs prepaint` writes it into index.html.
+ * @param {object} [config]
+ * @returns {string} JavaScript, without <script> tags
+ */
+export function prepaintSnippet(config) {
+  const runtime = new DualUxRuntime();
+  runtime.configure(config);
+  const { cfg } = runtime;
+  const t = cfg.targets;
+  const rule = (ux, other) => (t[ux] && t[other]
+    ? `html[data-dualux-prepaint="${ux}"] ${t[other]}{display:none!important}`
+    : '');
+  const boot = {
+    routing: cfg.routing,
+    mapping: cfg.mapping,
+    // Custom detectors cannot be inlined; init() corrects the UX if one of them decides otherwise
+    detectors: cfg.detection.detectors.filter((d) => typeof d === 'string'),
+    detectOptions: runtime.detectionOptions(),
+    // Predicates cannot be inlined either: those rules count as not matching until init()
+    rules: cfg.rules
+      .filter((r) => !(r.when && typeof r.when.test === 'function'))
+      .map((r) => (r.when && r.when.url instanceof RegExp
+        ? { ...r, when: { ...r.when, url: { source: r.when.url.source, flags: r.when.url.flags } } }
+        : r)),
+    appWindowModes: APP_WINDOW_MODES,
+    storageKey: cfg.storageKey,
+    overrideKeys: { browser: runtime.overrideKey(false), appWindow: runtime.overrideKey(true) },
+    overridePolicy: cfg.persistence.override,
+    css: rule('app', 'web') + rule('web', 'app')
+  };
+  const urls = `{${UrlStrategy.readIntent},${UrlStrategy.splitPath}}`;
+  const json = JSON.stringify(boot).replace(/</g, '\\u003c'); // inline-safe: no '</script>'
+  const match = boot.rules.length ? matchRules : null; // keeps the snippet small without rules
+  return `(${prepaint})(${json},${detectDisplayMode},${mapDisplayMode},${match},${urls});`;
 }
 
-/** Preferred API */
+/** Preferred API (singleton, storageKey 'dualux') */
 export const dualux = new DualUxRuntime();
 
 /* =========================
@@ -395,7 +2213,13 @@ export const dualux = new DualUxRuntime();
  * });
  * dualux.init();
  *
- * // 3) Runtime-only (zero-config, no deep links)
+ * // 3) Path prefix (History API; serve /app/* with your SPA fallback)
+ * dualux.configure({
+ *   routing: { strategy: 'path', prefix: '/app' }, // /app/orders/42 ↔ /orders/42
+ * });
+ * dualux.init();
+ *
+ * // 4) Runtime-only (zero-config, no deep links)
  * dualux.configure({
  *   routing: { strategy: 'runtime' },
  * });
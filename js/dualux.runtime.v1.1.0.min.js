@@ -1 +1 @@
-var g={enableLogging:false,targets:{web:'#web-ux',app:'#app-ux',hiddenClass:'hidden'},mapping:{standaloneTo:'app',fullscreenTo:'app',browserTo:'web'},routes:{appHome:'/app',webHome:'/'},routing:{strategy:'runtime',param:'mode',hashApp:'#/app',hashWeb:'#/web'},storageKey:'dualux'};function x(b,W){return b === undefined?W:b;}function P(U,w = 50){var B;return function(...L){if(B)window.clearTimeout(B);B=window.setTimeout(()=>U.apply(this,L),w);};}function E(n,...V){if(n)console.log('[DUAL-UX]',...V);}function D(){if(document.fullscreenElement)return 'fullscreen';var X=window.matchMedia('(display-mode: standalone)').matches;var Y=window.matchMedia('(display-mode: fullscreen)').matches;var G=window.matchMedia('(display-mode: browser)').matches;var j=window.navigator && window.navigator.standalone === true;var Q=navigator.userAgent || '';var N=(/Android|iPhone|iPad|iPod/i).test(Q);var z=N && typeof (window.navigator || ({})).standalone === 'undefined' && !document.referrer && Math.abs(window.innerHeight - screen.height) <= 1 && window.innerWidth === screen.width;if(X || j || z)return 'standalone';if(Y)return 'fullscreen';if(G)return 'browser';return 'browser';}var s={readIntent(q) {var o=q.routing || ({});var O=o.strategy || 'runtime';if(O === 'query'){var p=o.param || 'mode';var Z=new URLSearchParams(location.search).get(p);if(Z === 'app' || Z === 'web')return Z;return null;}if(O === 'hash'){var R=location.hash || '';if(R.startsWith(o.hashApp || '#/app'))return 'app';if(R.startsWith(o.hashWeb || '#/web'))return 'web';return null;}return null;},navTo(A,k) {var T=k === 'app'?A.routes.appHome:A.routes.webHome;if(T)return T;var f=A.routing || ({});var c=f.strategy || 'runtime';if(c === 'query'){var i=f.param || 'mode';var H=new URL(location.href);H.searchParams.set(i,k);H.hash='';return H.pathname + '?' + H.searchParams.toString();}if(c === 'hash'){var u=k === 'app'?f.hashApp || '#/app':f.hashWeb || '#/web';return location.pathname + location.search + u;}return location.pathname + location.search + (location.hash || '');}};var K=class C{constructor() {this.cfg=JSON.parse(JSON.stringify(g));this.mediaQueries=[];this.handlers=new Set();this.displayMode='browser';this.uxMode='web';this.uxOverride=null;this.isStandalone=false;}configure(I) {if(!I)return;this.cfg.enableLogging=x(I.enableLogging,this.cfg.enableLogging);if(I.targets)this.cfg.targets={...this.cfg.targets,...I.targets};if(I.mapping)this.cfg.mapping={...this.cfg.mapping,...I.mapping};if(I.routes)this.cfg.routes={...this.cfg.routes,...I.routes};if(I.routing)this.cfg.routing={...this.cfg.routing,...I.routing};if(I.storageKey)this.cfg.storageKey=I.storageKey;}init() {this.displayMode=D();this.isStandalone=this.displayMode === 'standalone';var l=s.readIntent(this.cfg);if(l === 'app' || l === 'web')this.uxOverride=l;this.uxMode=this.resolveUxMode();this.persistState();E(this.cfg.enableLogging,'Mode Detected:',{displayMode:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone,routing:this.cfg.routing,userAgent:navigator.userAgent});this.render();this.emit({displayMode:this.displayMode,uxMode:this.uxMode,changed:true,source:l?'url':'detection'});this.mediaQueries=[window.matchMedia('(display-mode: standalone)'),window.matchMedia('(display-mode: fullscreen)'),window.matchMedia('(display-mode: browser)')];var S=P(()=>{var y=D();if(y === this.displayMode)return;var a=this.displayMode;this.displayMode=y;if(y === 'standalone')this.isStandalone=true;if(y === 'browser')this.isStandalone=false;if(!this.uxOverride){if(y === 'fullscreen'){this.uxMode=this.isStandalone?'app':'web';}else {this.uxMode=this.resolveUxMode();}}this.persistState();E(this.cfg.enableLogging,'Display mode changed:',{from:a,to:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone});this.render();this.emit({displayMode:this.displayMode,uxMode:this.uxMode,changed:true,source:'media'});},50);this.mediaQueries.forEach(J=>J.addEventListener('change',S));document.addEventListener('fullscreenchange',()=>{var K7=!!document.fullscreenElement;var r8=K7?'fullscreen':D();if(r8 === this.displayMode)return;this.displayMode=r8;if(!this.uxOverride){if(K7){this.uxMode=this.isStandalone?'app':'web';}else {this.isStandalone=this.displayMode === 'standalone';this.uxMode=this.resolveUxMode();}}this.persistState();E(this.cfg.enableLogging,'Fullscreenchange:',{fullscreen:K7,displayMode:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone});this.render();this.emit({displayMode:this.displayMode,uxMode:this.uxMode,changed:true,source:'fullscreen'});});}getDisplayMode() {return this.displayMode;}getUxMode() {return this.uxMode;}async switchUx(N_,z8) {var M6=z8 || ({});var S2=M6.persist !== false;var D3=!!M6.navigate;var d5=!!M6.requestFullscreen;var q6=this.uxMode;this.uxOverride=N_;this.uxMode=N_;if(S2)this.persistState();if(d5 && N_ === 'app'){try{var n3=document.documentElement;if(n3 && n3.requestFullscreen)await n3.requestFullscreen();}catch(d2){}}if(D3){var K0=s.navTo(this.cfg,N_);var i8=location.pathname + location.search + location.hash;if(i8 !== K0)window.location.assign(K0);}var W$=q6 !== this.uxMode;this.render();var O9={displayMode:this.displayMode,uxMode:this.uxMode,changed:W$,source:'switch'};this.emit(O9);return O9;}on(k1,w4) {this.handlers.add(w4);}off(a0,F2) {this.handlers.delete(F2);}resolveUxMode() {if(this.uxOverride)return this.uxOverride;var u_=this.cfg.mapping;switch(this.displayMode){case 'standalone':return u_.standaloneTo;case 'fullscreen':return this.isStandalone?'app':'web';case 'browser':default:return u_.browserTo;}}render() {var s$=this.cfg.targets;var M1=s$.hiddenClass || 'hidden';var O5=s$.app?document.querySelector(s$.app):null;var V5=s$.web?document.querySelector(s$.web):null;var A1=k7=>k7 && k7.classList.add(M1);var X$=C$=>C$ && C$.classList.remove(M1);var Z$=this.uxMode === 'app';if(Z$){if(O5){X$(O5);if(V5)A1(V5);}else {if(V5)X$(V5);}}else {if(V5){X$(V5);if(O5)A1(O5);}else {if(O5)X$(O5);}}}emit(b$) {this.handlers.forEach(E3=>{try{E3(b$);}catch(F$){console.error('[DUAL-UX] handler error',F$);}});}persistState() {try{var o5=this.cfg.storageKey || 'dualux';localStorage.setItem(`${o5}:displayMode`,this.displayMode);localStorage.setItem(`${o5}:uxMode`,this.uxMode);localStorage.setItem(`${o5}:isStandalone`,String(this.isStandalone));}catch(Z3){}}};var F=new K();export {F as dualux};
\ No newline at end of file
+const e={enableLogging:!1,targets:{web:"#web-ux",app:"#app-ux",hiddenClass:"hidden"},surfaces:{attribute:"data-dualux",observe:!0},root:null,manageHead:null,head:{web:{},app:{}},mapping:{standaloneTo:"app",minimalUiTo:"app",windowControlsOverlayTo:"app",fullscreenTo:"app",browserTo:"web"},rules:[],detection:{detectors:["fullscreen-api","twa","launch-marker","ios-standalone","display-mode","viewport-heuristic"],launchParam:null},routes:{appHome:"/app",webHome:"/"},routing:{strategy:"runtime",param:"mode",hashApp:"#/app",hashWeb:"#/web",prefix:"/app"},storageKey:"dualux",transitions:{enabled:!1,names:{"web-app":"dualux-to-app","app-web":"dualux-to-web"},fallbackClass:"dualux-transition",duration:300},serviceWorker:{postState:!0,replayQueue:!0},install:{element:"pwa-install",showIn:"web",afterInstall:null},push:{vapidPublicKey:null,endpoint:"/api/push",ux:"app"},sync:{enabled:!1,scope:"peers"},persistence:{override:"session",ttl:6048e5}},t={1(e,t){["displayMode","uxMode","isStandalone"].forEach(s=>e.removeItem(`${t}:${s}`))}};function s(e,...t){e&&console.log("[DUAL-UX]",...t)}function i(e){try{return window[e]||null}catch(e){return null}}function n(e,t){try{const s=e&&e.getItem(t);return s?JSON.parse(s):null}catch(e){return null}}function o(e,t,s){try{e&&e.setItem(t,JSON.stringify(s))}catch(e){}}const a=":app-window",r=["standalone","minimal-ui","window-controls-overlay"];function l(e){return r.includes(e)}function d(e,t){const s=t||{},i=e=>window.matchMedia(`(display-mode: ${e})`).matches,n=e=>{try{window.sessionStorage.setItem(s.launchKey,e)}catch(e){}},o=()=>{try{return window.sessionStorage.getItem(s.launchKey)}catch(e){return null}},a={"fullscreen-api":()=>document.fullscreenElement?"fullscreen":null,twa:()=>/^android-app:\/\//.test(document.referrer||"")?(n("twa"),{displayMode:"standalone",confidence:.95}):"twa"===o()?{displayMode:"standalone",confidence:.8}:null,"launch-marker":()=>{if(!s.launchParam)return null;const[e,t=""]=s.launchParam.split("=");return new URLSearchParams(location.search).get(e)===t?(n("marker"),{displayMode:"standalone",confidence:.9}):"marker"===o()?{displayMode:"standalone",confidence:.7}:null},"ios-standalone":()=>!0===window.navigator.standalone?"standalone":null,"display-mode":()=>["fullscreen","standalone","minimal-ui","window-controls-overlay","browser"].find(i)||null,"viewport-heuristic":()=>{const e=/Android|iPhone|iPad|iPod/i.test(navigator.userAgent||""),t=Math.abs(window.innerHeight-screen.height)<=1&&window.innerWidth===screen.width;return e&&void 0===window.navigator.standalone&&!document.referrer&&t?{displayMode:"standalone",confidence:.3}:null}};for(const t of e||[]){const e="string"==typeof t?t:t&&t.name||"custom",s="string"==typeof t?a[t]:t&&t.detect;if("function"!=typeof s)continue;let i=null;try{i=s()}catch(t){console.error("[DUAL-UX] detector error",e,t)}if(i)return"string"==typeof i&&(i={displayMode:i}),{displayMode:i.displayMode,detector:e,confidence:"number"==typeof i.confidence?i.confidence:1}}return{displayMode:"browser",detector:"default",confidence:0}}function u(e,t,s){switch(t){case"standalone":return e.standaloneTo;case"minimal-ui":return e.minimalUiTo;case"window-controls-overlay":return e.windowControlsOverlayTo;case"fullscreen":return s?"app":"web";default:return e.browserTo}}function c(e,t,s){const i=window.innerWidth,n=e=>{if(!e)return!0;const s=[].concat(e.displayMode||[]);if(s.length&&!s.includes(t.displayMode))return!1;if("boolean"==typeof e.standalone&&e.standalone!==t.isStandalone)return!1;if(e.minWidth&&i<e.minWidth)return!1;if(e.maxWidth&&i>e.maxWidth)return!1;if(e.pointer&&!window.matchMedia(`(pointer: ${e.pointer})`).matches)return!1;if(e.url){const t="string"==typeof e.url?null:e.url instanceof RegExp?e.url:new RegExp(e.url.source,e.url.flags);if(!(t?t.test(location.pathname+location.search+location.hash):location.pathname.startsWith(e.url)))return!1}return!("function"==typeof e.test&&!e.test({...t,width:i,url:new URL(location.href)}))},o=e=>{const t=`${s}:experiment:${e.id}`;try{const e=JSON.parse(window.localStorage.getItem(t)||"null");if(e&&("app"===e.bucket||"web"===e.bucket))return e.bucket}catch(e){}const i=Math.random()<(e.share||0)?"app":"web";try{window.localStorage.setItem(t,JSON.stringify({bucket:i,assignedAt:Date.now()}))}catch(e){}return i};for(let t=0;t<(e||[]).length;t++){const s=e[t],i=s.id||`rule-${t}`;let a=!1;try{a=n(s.when)}catch(e){console.error("[DUAL-UX] rule error",i,e)}if(a){if(s.experiment){const e=o(s.experiment);return{uxMode:e,rule:i,experiment:{id:s.experiment.id,bucket:e}}}if("app"===s.ux||"web"===s.ux)return{uxMode:s.ux,rule:i,experiment:null}}}return null}function h(e){const t=()=>document.head&&document.head.querySelector(`meta[name="${e}"]`);return{attr:`data-dualux-${e}`,get:()=>{const e=t();return e?e.getAttribute("content"):null},set:s=>{let i=t();null!==s?(i||(i=document.createElement("meta"),i.setAttribute("name",e),document.head.appendChild(i)),i.setAttribute("content",s)):i&&i.remove()}}}const p={title:{attr:"data-dualux-title",get:()=>document.title,set:e=>{document.title=e||""}},themeColor:h("theme-color"),description:h("description"),robots:h("robots"),canonical:{attr:"data-dualux-canonical",get:()=>{const e=document.head&&document.head.querySelector('link[rel="canonical"]');return e?e.getAttribute("href"):null},set:e=>{let t=document.head.querySelector('link[rel="canonical"]');null!==e?(t||(t=document.createElement("link"),t.setAttribute("rel","canonical"),document.head.appendChild(t)),t.setAttribute("href",e)):t&&t.remove()}},colorScheme:{attr:"data-dualux-color-scheme",get:()=>document.documentElement.style.getPropertyValue("color-scheme")||null,set:e=>{null===e?document.documentElement.style.removeProperty("color-scheme"):document.documentElement.style.setProperty("color-scheme",e)}},background:{attr:"data-dualux-bg",get:()=>document.documentElement.style.getPropertyValue("--dualux-bg")||null,set:e=>{null===e?document.documentElement.style.removeProperty("--dualux-bg"):document.documentElement.style.setProperty("--dualux-bg",e)}}},g="dualux-launch",f=[g,"share","title","text","url"];function m(e){const t=new URL(e,location.href),s=t.searchParams.get(g);if(!s)return null;const i=e=>t.searchParams.get(e);return{type:s,targetURL:t.href,title:i("title"),text:i("text"),url:i("url"),shareId:i("share"),files:[]}}const y=new Set,w=[];let x=!1;function M(e){const t=(e+"=".repeat((4-e.length%4)%4)).replace(/-/g,"+").replace(/_/g,"/");return Uint8Array.from(atob(t),e=>e.charCodeAt(0))}function b(){return Date.now().toString(36)+Math.random().toString(36).slice(2)}const v=["app","web"],S=["online","offline"];function L(e,t,s,i){const n=!e||e.displayMode!==t.displayMode||e.uxMode!==t.uxMode;return{displayMode:t.displayMode,uxMode:t.uxMode,changed:n,source:s,previous:e,next:t,...i}}const A={readIntent(e){const t=e.routing||{},s=t.strategy||"runtime";if("query"===s){const e=t.param||"mode",s=new URLSearchParams(location.search).get(e);return"app"===s||"web"===s?s:null}if("hash"===s){const e=location.hash||"";return e.startsWith(t.hashApp||"#/app")?"app":e.startsWith(t.hashWeb||"#/web")?"web":null}return"path"===s?this.splitPath(e,location.pathname).inApp?"app":"web":null},splitPath(e,t){const s=((e.routing||{}).prefix||"/app").replace(/\/+$/,"");return t===s?{inApp:!0,rest:"/"}:t.startsWith(s+"/")?{inApp:!0,rest:t.slice(s.length)}:{inApp:!1,rest:t}},navTo(e,t,s=location){const i=e.routing||{},n=i.strategy||"runtime";if("path"===n){const n=(i.prefix||"/app").replace(/\/+$/,""),{rest:o}=A.splitPath(e,s.pathname);return("app"===t?n+("/"===o?"":o):o)+s.search+s.hash}const o="app"===t?e.routes.appHome:e.routes.webHome;if(o)return o;if("query"===n){const e=i.param||"mode",n=new URL(s.href);return n.searchParams.set(e,t),n.hash="",n.pathname+"?"+n.searchParams.toString()}if("hash"===n){const e="app"===t?i.hashApp||"#/app":i.hashWeb||"#/web";return s.pathname+s.search+e}return s.pathname+s.search+(s.hash||"")}};function E(e,t,s,i,n){try{const o=t(e.detectors,e.detectOptions).displayMode,a=e.appWindowModes.includes(o);let r=n.readIntent(e);if(!r){const t=e.overridePolicy,s="session"===t?window.sessionStorage:"ttl"===t||"permanent"===t?window.localStorage:null,i=a?e.overrideKeys.appWindow:e.overrideKeys.browser,n=s&&JSON.parse(s.getItem(i)||"null");!n||"app"!==n.uxMode&&"web"!==n.uxMode||n.expiresAt&&n.expiresAt<=Date.now()||(r=n.uxMode)}if(!r){const t=i&&i(e.rules,{displayMode:o,isStandalone:a},e.storageKey);r=t?t.uxMode:s(e.mapping,o,a)}const l=document.documentElement;l.setAttribute("data-dualux-prepaint",r),l.setAttribute("data-dualux-ux",r),l.setAttribute("data-dualux-display",o);const d=document.createElement("style");d.textContent=e.css,document.head.appendChild(d)}catch(e){}}class P{constructor(){this.cfg=JSON.parse(JSON.stringify(e)),this.documentWide=!0,this.mediaQueries=[],this.handlers=new Map,this.displayMode="browser",this.uxMode="web",this.initialized=!1,this.uxOverride=null,this.isStandalone=!1,this.detection={detector:"default",confidence:0},this.decision={rule:null,experiment:null},this.online=!0,this.queue={length:0,nextRetryAt:null},this.replayTimer=null,this.deferredPrompt=null,this.installed=!1,this.installDialogShown=!1,this.headBaseline=null,this.surfaceObserver=null,this.modules=new Map,this.activation=0,this.bindings=0,this.teardown=[],this.sync=null,this.launches=[],this.launchURL=null,this.pendingShare=null,this.push={subscribe:()=>this.subscribePush(),unsubscribe:()=>this.unsubscribePush(),getSubscription:()=>this.pushSubscription()}}configure(e){if(e){var t,s;if(this.cfg.enableLogging=(t=e.enableLogging,s=this.cfg.enableLogging,void 0===t?s:t),e.targets&&(this.cfg.targets={...this.cfg.targets,...e.targets}),e.surfaces&&(this.cfg.surfaces={...this.cfg.surfaces,...e.surfaces}),void 0!==e.root&&(this.cfg.root=e.root),void 0!==e.manageHead&&(this.cfg.manageHead=e.manageHead),e.head&&(this.cfg.head={web:{...this.cfg.head.web,...e.head.web||{}},app:{...this.cfg.head.app,...e.head.app||{}}}),e.mapping&&(this.cfg.mapping={...this.cfg.mapping,...e.mapping}),e.rules&&(this.cfg.rules=[...e.rules]),e.detection&&(this.cfg.detection={...this.cfg.detection,...e.detection}),e.routes&&(this.cfg.routes={...this.cfg.routes,...e.routes}),e.routing&&(this.cfg.routing={...this.cfg.routing,...e.routing}),e.storageKey&&(this.cfg.storageKey=e.storageKey),e.transitions){const t={...this.cfg.transitions.names,...e.transitions.names||{}};this.cfg.transitions={...this.cfg.transitions,...e.transitions,names:t}}e.serviceWorker&&(this.cfg.serviceWorker={...this.cfg.serviceWorker,...e.serviceWorker}),e.install&&(this.cfg.install={...this.cfg.install,...e.install}),e.persistence&&(this.cfg.persistence={...this.cfg.persistence,...e.persistence}),e.sync&&(this.cfg.sync={...this.cfg.sync,...e.sync}),e.push&&(this.cfg.push={...this.cfg.push,...e.push})}}init(){this.unbind(),this.uxOverride=null,this.decision={rule:null,experiment:null},this.online=!1!==navigator.onLine,this.displayMode=this.detect(),this.isStandalone=l(this.displayMode),function(e){const s=i("localStorage");if(s)try{const i=`${e}:schema`;let n=Number(s.getItem(i))||1;if(2===n)return;for(n>2&&(["state","override",`override${a}`].forEach(t=>s.removeItem(`${e}:${t}`)),n=2);n<2;n++)t[n]&&t[n](s,e);s.setItem(i,String(2))}catch(e){}}(this.cfg.storageKey||"dualux");const e=A.readIntent(this.cfg),o=e?null:this.readOverride();"app"===e||"web"===e?this.uxOverride=e:o&&(this.uxOverride=o);const r=this.resolveDecision();this.uxMode=r.uxMode,this.decision={rule:r.rule,experiment:r.experiment},this.persistState(),s(this.cfg.enableLogging,"Mode Detected:",{displayMode:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone,rule:this.decision.rule,routing:this.cfg.routing,userAgent:navigator.userAgent});const d=document.documentElement,u=this.documentWide?d.getAttribute("data-dualux-prepaint"):null,c=u?{displayMode:d.getAttribute("data-dualux-display"),uxMode:u,isStandalone:l(d.getAttribute("data-dualux-display"))}:null;this.initialized=!0,this.render(),u&&d.removeAttribute("data-dualux-prepaint"),this.activate(this.uxMode);const h=L(c,this.snapshot(),e?"url":o?"storage":"detection",this.why());this.emit("ready",h),h.changed&&this.emit("change",h),this.postState(),this.mediaQueries=[window.matchMedia("(display-mode: standalone)"),window.matchMedia("(display-mode: minimal-ui)"),window.matchMedia("(display-mode: window-controls-overlay)"),window.matchMedia("(display-mode: fullscreen)"),window.matchMedia("(display-mode: browser)")];const p=function(e,t=50){let s;const i=function(...i){s&&window.clearTimeout(s),s=window.setTimeout(()=>e.apply(this,i),t)};return i.cancel=()=>{s&&window.clearTimeout(s),s=null},i}(()=>{const e=this.detect();if(e===this.displayMode)return;const t=this.displayMode;let i=this.isStandalone;l(e)&&(i=!0),"browser"===e&&(i=!1);const n=this.resolveDecision(e,i);this.commit({displayMode:e,uxMode:n.uxMode,isStandalone:i},"media",{decision:n}),s(this.cfg.enableLogging,"Display mode changed:",{from:t,to:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone})},50);this.mediaQueries.forEach(e=>this.listen(e,"change",p)),this.teardown.push(()=>p.cancel()),this.listen(document,"fullscreenchange",()=>{const e=!!document.fullscreenElement,t=this.detect(),i=e?"fullscreen":t;if(i===this.displayMode)return;const n=e||this.uxOverride?this.isStandalone:l(i),o=this.resolveDecision(i,n);this.commit({displayMode:i,uxMode:o.uxMode,isStandalone:n},"fullscreen",{decision:o}),s(this.cfg.enableLogging,"Fullscreenchange:",{fullscreen:e,displayMode:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone})}),"path"===this.cfg.routing.strategy&&this.listen(window,"popstate",async()=>{const e=A.readIntent(this.cfg);if(!e||e===this.uxMode)return;const t=await this.commit({uxMode:e},"url",{override:e});t.superseded||(t.cancelled?history.pushState({dualux:this.uxMode},"",A.navTo(this.cfg,this.uxMode)):s(this.cfg.enableLogging,"Popstate:",{path:location.pathname,uxMode:this.uxMode}))});const g=this.cfg.surfaces.attribute;g&&this.cfg.surfaces.observe&&"undefined"!=typeof MutationObserver&&(this.surfaceObserver=new MutationObserver(e=>{e.forEach(e=>{"attributes"!==e.type?e.addedNodes.forEach(e=>{1===e.nodeType&&this.renderSurfaces(e)}):this.renderSurfaces(e.target)})}),this.scopes().forEach(e=>this.surfaceObserver.observe(e,{childList:!0,subtree:!0,attributes:!0,attributeFilter:[g]})),this.teardown.push(()=>{this.surfaceObserver.disconnect(),this.surfaceObserver=null})),this.cfg.serviceWorker.postState&&"serviceWorker"in navigator&&(this.listen(navigator.serviceWorker,"controllerchange",()=>this.postState()),this.listen(document,"visibilitychange",()=>{"visible"===document.visibilityState&&this.postState()})),this.listen(window,"online",()=>{this.setOnline(!0),this.replayQueue()}),this.listen(window,"offline",()=>this.setOnline(!1)),"serviceWorker"in navigator&&(this.listen(navigator.serviceWorker,"message",e=>{e.data&&("DUALUX_CACHE"===e.data.type&&(s(this.cfg.enableLogging,"Served from cache:",e.data),this.emit("cached",{displayMode:this.displayMode,uxMode:this.uxMode,online:this.online,url:e.data.url,reason:e.data.reason})),"DUALUX_QUEUE"===e.data.type&&this.onQueueMessage(e.data),"DUALUX_LAUNCH"===e.data.type&&this.onShareMessage(e.data),"DUALUX_NOTIFICATION"===e.data.type&&this.onNotificationMessage(e.data),"DUALUX_STATE_REQUEST"===e.data.type&&this.postState())}),navigator.serviceWorker.startMessages(),this.replayQueue()),this.installed=!!n(i("localStorage"),`${this.cfg.storageKey||"dualux"}:installed`);const f=this.installElement();f&&f.setAttribute("manual-chrome",""),this.listen(window,"beforeinstallprompt",e=>{e.preventDefault(),this.deferredPrompt=e,this.setInstalled(!1),s(this.cfg.enableLogging,"Installable:",{platforms:e.platforms}),this.emit("installable",{displayMode:this.displayMode,uxMode:this.uxMode,platforms:e.platforms||[]}),this.syncInstallElement()}),this.listen(window,"appinstalled",()=>{this.deferredPrompt=null,this.setInstalled(!0),s(this.cfg.enableLogging,"Installed"),this.emit("installed",{displayMode:this.displayMode,uxMode:this.uxMode}),this.syncInstallElement();const e=this.cfg.install.afterInstall;"switch"!==e&&"navigate"!==e||this.switchUx("app",{navigate:"navigate"===e})}),this.cfg.sync.enabled&&this.openSync();const M=m(location.href),b="launchQueue"in window;var v;this.launchURL=!M||"file"===M.type&&b?null:M.targetURL,M&&M.shareId?this.requestShare(M):this.launchURL&&this.handleLaunch(M),b&&this.teardown.push((v=this,y.add(v),x||(x=!0,window.launchQueue.setConsumer(e=>{y.size||w.push(e),y.forEach(t=>t.onLaunchParams(e))})),w.splice(0).forEach(e=>v.onLaunchParams(e)),()=>y.delete(v)))}onLaunch(e){const t=this.on("launch",e);return this.launches.splice(0).forEach(t=>{try{e(t)}catch(e){console.error("[DUAL-UX] handler error",e)}}),t}async onLaunchParams(e){const t=e.files||[],s=(await Promise.all(t.map(e=>e.getFile().catch(()=>null)))).filter(Boolean),i=e.targetURL||location.href;if(!s.length&&i===this.launchURL)return;const n=m(i)||{type:"url",targetURL:i,title:null,text:null,url:null,shareId:null,files:[]};this.launchURL=i,this.handleLaunch({...n,type:s.length?"file":n.type,files:s})}requestShare(e){const t="serviceWorker"in navigator?navigator.serviceWorker.controller:null;t?(this.pendingShare=e,t.postMessage({type:"DUALUX_LAUNCH",id:e.shareId})):this.handleLaunch(e)}onShareMessage(e){const t=this.pendingShare;t&&e.id===t.shareId&&(this.pendingShare=null,this.handleLaunch({...t,...e.share||{}}))}onNotificationMessage(e){const t=m(e.targetURL);t&&this.handleLaunch({...t,action:e.action||null,data:e.data},{navigate:!0})}async handleLaunch(e,t){const{shareId:i,...n}=e,o=!(!t||!t.navigate);if(s(this.cfg.enableLogging,"Launch:",n),"app"!==this.uxMode){if((await this.commit({uxMode:"app"},"launch",{persist:!1,override:"app"})).superseded)return}const a=new URL(o?e.targetURL:location.href);if(a.searchParams.has(g)){f.forEach(e=>a.searchParams.delete(e));const e="runtime"!==this.cfg.routing.strategy&&"app"===this.uxMode?A.navTo(this.cfg,"app",a):a.pathname+a.search+a.hash;o?history.pushState({dualux:this.uxMode},"",e):history.replaceState({dualux:this.uxMode},"",e)}const r={displayMode:this.displayMode,uxMode:this.uxMode,...n},l=this.handlers.get("launch");l&&l.size||this.launches.push(r),this.emit("launch",r)}openSync(){const e=`${this.cfg.storageKey||"dualux"}:sync`,t={id:b(),post:null,queries:new Map};if("function"==typeof BroadcastChannel){const s=new BroadcastChannel(e);this.listen(s,"message",e=>this.onSyncMessage(e.data)),this.teardown.push(()=>s.close()),t.post=e=>s.postMessage(e)}else this.listen(window,"storage",t=>{if(t.key===e&&t.newValue)try{this.onSyncMessage(JSON.parse(t.newValue))}catch(e){}}),t.post=t=>o(i("localStorage"),e,{...t,nonce:b()});this.sync=t,this.teardown.push(()=>{t.queries.forEach(e=>e(!1)),this.sync=null})}broadcast(e){this.sync&&this.sync.post({type:"override",uxMode:e,from:this.sync.id,displayMode:this.displayMode,isStandalone:this.isStandalone})}async onSyncMessage(e){const t=this.sync;if(t&&e&&e.from!==t.id)if("ping"!==e.type){if("pong"===e.type){const s=t.queries.get(e.query);return void(s&&s(!0))}if("override"===e.type&&("all"===this.cfg.sync.scope||!!e.isStandalone===this.isStandalone)&&e.uxMode!==this.uxOverride){if(s(this.cfg.enableLogging,"Sync:",{uxMode:e.uxMode,from:e.displayMode}),e.uxMode){const t=await this.commit({uxMode:e.uxMode},"sync",{persist:!1,override:e.uxMode});if(t.cancelled||t.superseded)return;"session"===this.cfg.persistence.override&&this.writeOverride(e.uxMode)}else{const e=this.resolveDecision(this.displayMode,this.isStandalone,null),t=await this.commit({uxMode:e.uxMode},"sync",{persist:!1,override:null,decision:e});if(t.cancelled||t.superseded)return;this.removeOverride()}"path"===this.cfg.routing.strategy&&history.replaceState({dualux:this.uxMode},"",A.navTo(this.cfg,this.uxMode))}}else this.isStandalone&&t.post({type:"pong",from:t.id,query:e.query,displayMode:this.displayMode})}isAppWindowOpen(e=300){if(this.isStandalone)return Promise.resolve(!0);const t=this.sync;return t?new Promise(s=>{const i=b(),n=window.setTimeout(()=>o(!1),e),o=e=>{window.clearTimeout(n),t.queries.delete(i),s(e)};t.queries.set(i,o),t.post({type:"ping",from:t.id,query:i})}):Promise.resolve(!1)}listen(e,t,s){e.addEventListener(t,s),this.teardown.push(()=>e.removeEventListener(t,s))}unbind(){this.bindings++,this.teardown.splice(0).forEach(e=>{try{e()}catch(e){}}),this.replayTimer&&window.clearTimeout(this.replayTimer),this.replayTimer=null,this.mediaQueries=[]}destroy(){this.unbind(),this.activation++;const e={dualux:this,...this.snapshot()};this.modules.forEach((t,s)=>{if(t.mounted){t.mounted=!1;try{"function"==typeof t.hooks.unmount&&t.hooks.unmount(this.uxElement(s),e)}catch(e){console.error("[DUAL-UX] unmount error",e)}}}),this.handlers.clear(),this.deferredPrompt=null,this.pendingShare=null,this.initialized=!1,s(this.cfg.enableLogging,"Destroyed")}getDisplayMode(){return this.displayMode}getDetection(){return{...this.detection}}detect(){const e=d(this.cfg.detection.detectors,this.detectionOptions());return this.detection={detector:e.detector,confidence:e.confidence},e.displayMode}detectionOptions(){return{launchParam:this.cfg.detection.launchParam,launchKey:`${this.cfg.storageKey||"dualux"}:launch`}}getUxMode(){return this.uxMode}snapshot(){return{displayMode:this.displayMode,uxMode:this.uxMode,isStandalone:this.isStandalone}}async switchUx(e,t){const s=t||{},i=!1!==s.persist,n=!!s.navigate,o=!!s.requestFullscreen,a=await this.commit({uxMode:e},"switch",{persist:i,override:e});if(a.cancelled||a.superseded)return a;if(i&&(this.writeOverride(e),this.broadcast(e)),o&&"app"===e)try{const e=document.documentElement;e&&e.requestFullscreen&&await e.requestFullscreen()}catch(e){}if(n){const t=A.navTo(this.cfg,e);location.pathname+location.search+location.hash!==t&&("path"===this.cfg.routing.strategy?history.pushState({dualux:e},"",t):window.location.assign(t))}return a}async clearOverride(){const e=this.resolveDecision(this.displayMode,this.isStandalone,null),t=await this.commit({uxMode:e.uxMode},"clear",{override:null,decision:e});return t.cancelled||t.superseded||(this.removeOverride(),this.broadcast(null)),t}reset(){const e=this.cfg.storageKey||"dualux";this.removeOverride(!0),this.broadcast(null);const t=i("localStorage");try{["state","schema"].forEach(s=>t&&t.removeItem(`${e}:${s}`))}catch(e){}const s=this.detect(),n=l(s),o=this.resolveDecision(s,n,null);return this.commit({displayMode:s,uxMode:o.uxMode,isStandalone:n},"reset",{persist:!1,override:null,decision:o})}register(e,t,s){const i=s||{};this.modules.set(e,{loader:t,target:i.target||null,hooks:null,mounted:!1}),this.initialized&&e===this.uxMode&&this.activate(e)}uxElement(e){const t=this.modules.get(e),s=t&&t.target||this.cfg.targets[e];return this.query(s)}rootElement(){const e=this.cfg.root;return e?"string"==typeof e?document.querySelector(e):e:null}query(e){if(!e)return null;const t=this.rootElement();return t?t.querySelector(e):document.querySelector(e)}scopes(){const e=this.rootElement();let t;return t=e?[e]:this.documentWide?[document.documentElement]:[this.uxElement("web"),this.uxElement("app")].filter((e,t,s)=>e&&s.indexOf(e)===t),t.forEach(e=>e.setAttribute("data-dualux-instance",this.cfg.storageKey)),t}ownsSurface(e){const t=e.closest("[data-dualux-instance]");return!!t&&t.getAttribute("data-dualux-instance")===this.cfg.storageKey}async activate(e){const t=++this.activation,i=this.uxElement(e);i&&i.querySelectorAll("template[data-dualux-lazy]").forEach(e=>{e.replaceWith(e.content.cloneNode(!0))});const n={dualux:this,...this.snapshot()};this.modules.forEach((t,s)=>{if(s!==e&&t.mounted){t.mounted=!1;try{"function"==typeof t.hooks.unmount&&t.hooks.unmount(this.uxElement(s),n)}catch(e){console.error("[DUAL-UX] unmount error",e)}}});const o=this.modules.get(e);if(o&&!o.mounted)try{if(!o.hooks){const t=await o.loader();o.hooks=t&&"function"!=typeof t.mount&&t.default?t.default:t||{},s(this.cfg.enableLogging,"Module loaded:",e)}if(t!==this.activation||o.mounted)return;o.mounted=!0,"function"==typeof o.hooks.mount&&await o.hooks.mount(i,n)}catch(e){console.error("[DUAL-UX] mount error",e)}}isOnline(){return this.online}setOnline(e){e!==this.online&&(this.online=e,this.scopes().forEach(t=>{t.setAttribute("data-dualux-network",e?"online":"offline"),this.renderSurfaces(t)}),s(this.cfg.enableLogging,e?"Online":"Offline"),this.emit(e?"online":"offline",{displayMode:this.displayMode,uxMode:this.uxMode,online:e}))}queueLength(){return this.queue.length}replayQueue(){if(!this.cfg.serviceWorker.replayQueue||!this.online||!("serviceWorker"in navigator))return;const e=navigator.serviceWorker.controller;e&&e.postMessage({type:"DUALUX_REPLAY"})}onQueueMessage(e){const t=this.queue.length;this.queue={length:e.length,nextRetryAt:e.nextRetryAt};const i={displayMode:this.displayMode,uxMode:this.uxMode,length:e.length,nextRetryAt:e.nextRetryAt};e.results&&e.results.length&&(s(this.cfg.enableLogging,"Write queue replayed:",e.results),this.emit("replay",{...i,results:e.results})),e.length!==t&&this.emit("queuechange",{...i,previousLength:t}),this.replayTimer&&window.clearTimeout(this.replayTimer),this.replayTimer=null,e.length&&e.nextRetryAt&&(this.replayTimer=window.setTimeout(()=>this.replayQueue(),Math.max(0,e.nextRetryAt-Date.now())))}postState(){if(!this.cfg.serviceWorker.postState||!("serviceWorker"in navigator))return;const e=navigator.serviceWorker.controller;e&&e.postMessage({type:"DUALUX_STATE",...this.snapshot()})}canInstall(){return!!this.deferredPrompt}isInstalled(){return this.installed||this.isStandalone}async promptInstall(){const e=this.deferredPrompt;if(!e)return{outcome:"unavailable"};let t;this.deferredPrompt=null,this.emit("installprompt",{displayMode:this.displayMode,uxMode:this.uxMode});try{await e.prompt(),t=await e.userChoice}catch(e){return s(this.cfg.enableLogging,"Install prompt failed:",e),{outcome:"unavailable"}}return"dismissed"===t.outcome&&this.emit("installdismissed",{displayMode:this.displayMode,uxMode:this.uxMode,platform:t.platform}),this.syncInstallElement(),t}async pushSubscription(){if(!("serviceWorker"in navigator)||!("PushManager"in window))return null;try{const e=await navigator.serviceWorker.ready;return await e.pushManager.getSubscription()}catch(e){return s(this.cfg.enableLogging,"Push subscription unavailable:",e),null}}async subscribePush(){const{vapidPublicKey:e,endpoint:t,ux:i}=this.cfg.push;if("any"!==i&&i!==this.uxMode)return{outcome:"not-allowed"};if(!(e&&"serviceWorker"in navigator&&"PushManager"in window&&"Notification"in window))return{outcome:"unavailable"};if("granted"!==await Notification.requestPermission())return{outcome:"denied"};let n;try{const t=await navigator.serviceWorker.ready;n=await t.pushManager.getSubscription()||await t.pushManager.subscribe({userVisibleOnly:!0,applicationServerKey:M(e)})}catch(e){return s(this.cfg.enableLogging,"Push subscribe failed:",e),{outcome:"failed"}}try{const e=await fetch(t,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({subscription:n.toJSON(),...this.snapshot()})});if(!e.ok)throw new Error(`HTTP ${e.status}`)}catch(e){s(this.cfg.enableLogging,"Push endpoint refused the subscription:",e);try{await n.unsubscribe()}catch(e){}return{outcome:"failed"}}return this.emit("pushsubscribe",{displayMode:this.displayMode,uxMode:this.uxMode,endpoint:n.endpoint}),{outcome:"subscribed",subscription:n}}async unsubscribePush(){const e=await this.pushSubscription();if(!e)return!1;try{await e.unsubscribe()}catch(e){return s(this.cfg.enableLogging,"Push unsubscribe failed:",e),!1}try{await fetch(this.cfg.push.endpoint,{method:"DELETE",headers:{"Content-Type":"application/json"},body:JSON.stringify({endpoint:e.endpoint})})}catch(e){}return this.emit("pushunsubscribe",{displayMode:this.displayMode,uxMode:this.uxMode,endpoint:e.endpoint}),!0}setInstalled(e){this.installed=e;const t=i("localStorage"),s=`${this.cfg.storageKey||"dualux"}:installed`;if(e)o(t,s,{at:Date.now()});else try{t&&t.removeItem(s)}catch(e){}}installElement(){const e=this.cfg.install.element;return e?document.querySelector(e):null}syncInstallElement(){const e=this.installElement();if(!e)return;this.deferredPrompt&&(e.externalPromptEvent=this.deferredPrompt);const t=this.cfg.install.showIn,s=this.canInstall()&&!!t&&("any"===t||t===this.uxMode);s&&!this.installDialogShown&&"function"==typeof e.showDialog?(e.showDialog(),this.installDialogShown=!0):!s&&this.installDialogShown&&"function"==typeof e.hideDialog&&(e.hideDialog(),this.installDialogShown=!1)}on(e,t){return this.handlers.has(e)||this.handlers.set(e,new Set),this.handlers.get(e).add(t),()=>this.off(e,t)}once(e,t){const s=i=>{const n=this.handlers.get(e);n&&n.delete(s),t(i)};return s.original=t,this.on(e,s)}off(e,t){const s=this.handlers.get(e);s&&s.forEach(e=>{e!==t&&e.original!==t||s.delete(e)})}async commit(e,t,s){const i=s||{},n=!1!==i.persist,o=this.snapshot(),a={...o,...e},r=i.decision||(i.override?{rule:null,experiment:null}:this.decision);let l=!1;a.uxMode===o.uxMode||this.emit("beforeuxchange",L(o,a,t,this.why(r)))||(l=!0,a.uxMode=o.uxMode),this.displayMode=a.displayMode,this.uxMode=a.uxMode,this.isStandalone=a.isStandalone,!l&&"override"in i&&(this.uxOverride=i.override),l||(this.decision={rule:r.rule,experiment:r.experiment}),n&&this.persistState();const d=this.bindings;if(o.uxMode!==a.uxMode?await this.transition(o.uxMode,a.uxMode,()=>this.render()):this.render(),d!==this.bindings)return{...L(o,a,t,this.why()),cancelled:l,superseded:!0};o.uxMode!==a.uxMode&&(this.syncInstallElement(),this.activate(a.uxMode));const u={...L(o,a,t,this.why()),cancelled:l};return this.postState(),o.displayMode!==a.displayMode&&this.emit("displaymodechange",u),o.uxMode!==a.uxMode&&this.emit("uxchange",u),this.emit("change",u),u}resolveUxMode(e=this.displayMode,t=this.isStandalone){return this.resolveDecision(e,t).uxMode}resolveDecision(e=this.displayMode,t=this.isStandalone,s=this.uxOverride){if(s)return{uxMode:s,rule:null,experiment:null};return c(this.cfg.rules,{displayMode:e,isStandalone:t},this.cfg.storageKey||"dualux")||{uxMode:u(this.cfg.mapping,e,t),rule:null,experiment:null}}why(e=this.decision){return{detection:{...this.detection},rule:e.rule,experiment:e.experiment}}mappedUxMode(e=this.displayMode,t=this.isStandalone){return this.resolveDecision(e,t,null).uxMode}render(){const e=this.cfg.targets,t=e.hiddenClass||"hidden",s=this.query(e.app),i=this.query(e.web),n=e=>e&&e.classList.add(t),o=e=>e&&e.classList.remove(t);"app"===this.uxMode?s?(o(s),i&&n(i)):i&&o(i):i?(o(i),s&&n(s)):s&&o(s),this.scopes().forEach(e=>{e.setAttribute("data-dualux-ux",this.uxMode),e.setAttribute("data-dualux-display",this.displayMode),e.setAttribute("data-dualux-network",this.online?"online":"offline"),this.renderSurfaces(e)});const a=this.cfg.manageHead;(null==a?this.documentWide:a)&&this.applyHead()}applyHead(){const e=this.uxMode,t=this.cfg.head[e]||{},s=this.query(this.cfg.targets[e]);this.headBaseline||(this.headBaseline={}),Object.keys(p).forEach(e=>{const i=p[e];e in this.headBaseline||(this.headBaseline[e]=i.get());const n=s?s.getAttribute(i.attr):null,o=null!==n?n:t[e],a=null==o?this.headBaseline[e]:String(o);i.get()!==a&&i.set(a)})}async transition(e,t,i){const n=this.cfg.transitions,o=window.matchMedia("(prefers-reduced-motion: reduce)").matches;if(!n.enabled||o)return void i();const a=document.documentElement;let r=!1;const l=()=>{r=!0,i()};a.setAttribute("data-dualux-transition",n.names[`${e}-${t}`]||`dualux-to-${t}`);try{"function"==typeof document.startViewTransition?await document.startViewTransition(l).finished:(a.classList.add(n.fallbackClass),l(),await new Promise(e=>{const t=()=>{window.clearTimeout(s),e()},s=window.setTimeout(()=>{const s=this.teardown.indexOf(t);-1!==s&&this.teardown.splice(s,1),e()},n.duration);this.teardown.push(t)}))}catch(e){s(this.cfg.enableLogging,"Transition failed:",e),r||i()}finally{a.classList.remove(n.fallbackClass),a.removeAttribute("data-dualux-transition")}}renderSurfaces(e){const t=this.cfg.surfaces.attribute;if(!t||!e)return;const s=this.cfg.targets.hiddenClass||"hidden",i={...this.snapshot(),online:this.online},n=e=>{this.ownsSurface(e)&&e.classList.toggle(s,!function(e,t){const s=String(e||"").trim().split(/\s+/).filter(Boolean),i=s.filter(e=>v.includes(e)),n=s.filter(e=>S.includes(e)),o=s.filter(e=>!v.includes(e)&&!S.includes(e)),a=!o.length||o.includes(t.displayMode)||t.isStandalone&&o.includes("standalone"),r=!n.length||n.includes(t.online?"online":"offline");return(!i.length||i.includes(t.uxMode))&&a&&r}(e.getAttribute(t),i))};1===e.nodeType&&e.hasAttribute(t)&&n(e),e.querySelectorAll(`[${t}]`).forEach(n)}emit(e,t){"string"!=typeof e&&(t=e,e="change");const s="beforeuxchange"===e;let i=!1;const n=t&&"object"==typeof t?{storageKey:this.cfg.storageKey,rule:this.decision.rule,experiment:this.decision.experiment,...t}:t,o=s?{...n,preventDefault(){i=!0},get defaultPrevented(){return i}}:n,a=this.handlers.get(e);a&&[...a].forEach(e=>{try{e(o)}catch(e){console.error("[DUAL-UX] handler error",e)}});try{const t=new CustomEvent(`dualux:${e}`,{detail:o,cancelable:s});document.dispatchEvent(t)||(i=!0)}catch(e){}return!i}persistState(){const e=this.cfg.storageKey||"dualux";o(i("localStorage"),`${e}:state`,this.snapshot())}overrideArea(){switch(this.cfg.persistence.override){case"session":return i("sessionStorage");case"ttl":case"permanent":return i("localStorage");default:return null}}overrideKey(e=this.isStandalone){const t=`${this.cfg.storageKey||"dualux"}:override`;return"all"!==this.cfg.sync.scope&&e?t+a:t}readOverride(){const e=n(this.overrideArea(),this.overrideKey());return!e||"app"!==e.uxMode&&"web"!==e.uxMode?null:e.expiresAt&&e.expiresAt<=Date.now()?(this.removeOverride(),null):e.uxMode}writeOverride(e){const t=this.cfg.persistence,s=Date.now();o(this.overrideArea(),this.overrideKey(),{uxMode:e,savedAt:s,expiresAt:"ttl"===t.override?s+t.ttl:null})}removeOverride(e){const t=e?[this.overrideKey(!1),this.overrideKey(!0)]:[this.overrideKey()];["localStorage","sessionStorage"].forEach(e=>{const s=i(e);try{s&&t.forEach(e=>s.removeItem(e))}catch(e){}})}}let U=0;export function createDualUx(e){const t=new P;return t.documentWide=!1,t.configure({...e||{},storageKey:e&&e.storageKey||"dualux-"+ ++U}),t}export function prepaintSnippet(e){const t=new P;t.configure(e);const{cfg:s}=t,i=s.targets,n=(e,t)=>i[e]&&i[t]?`html[data-dualux-prepaint="${e}"] ${i[t]}{display:none!important}`:"",o={routing:s.routing,mapping:s.mapping,detectors:s.detection.detectors.filter(e=>"string"==typeof e),detectOptions:t.detectionOptions(),rules:s.rules.filter(e=>!(e.when&&"function"==typeof e.when.test)).map(e=>e.when&&e.when.url instanceof RegExp?{...e,when:{...e.when,url:{source:e.when.url.source,flags:e.when.url.flags}}}:e),appWindowModes:r,storageKey:s.storageKey,overrideKeys:{browser:t.overrideKey(!1),appWindow:t.overrideKey(!0)},overridePolicy:s.persistence.override,css:n("app","web")+n("web","app")},a=`{${A.readIntent},${A.splitPath}}`;return`(${E})(${JSON.stringify(o).replace(/</g,"\\u003c")},${d},${u},${o.rules.length?c:null},${a});`}export const dualux=new P;
\ No newline at end of file
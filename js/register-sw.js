@@ -1,7 +1,127 @@
-// This script registers a service worker for a Progressive Web App (PWA)
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker
-      .register('/sw.js')
-      .then(reg => console.log('✅ Service Worker registered:', reg.scope))
-      .catch(err => console.error('❌ Service Worker registration failed:', err));
-  }
\ No newline at end of file
+/*
+ * License Notice Dual-UX - GNU Affero General Public License
+ *
+ * This file is part of Dual-UX.
+ *
+ * Dual-UX is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version.
+ *
+ * Dual-UX is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License along with Dual-UX. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* register-sw.js (ES module)
+ * Registers the service worker for a Progressive Web App (PWA) and runs the update flow:
+ * a new worker that finished installing while an older one controls the page is announced as
+ * 'update-available' through the runtime; applyUpdate() activates it and reloads once.
+ *
+ * Usage:
+ *   import { dualux } from '/js/dualux.runtime.v1.1.0.min.js';
+ *   import { registerServiceWorker, applyUpdate } from '/js/register-sw.js';
+ *
+ *   registerServiceWorker(dualux, { banner: { ux: 'app' } }); // built-in banner, App UX only
+ *   // or: dualux.on('update-available', () => showMyToast(() => applyUpdate()));
+ */
+
+const DEFAULTS = {
+  url: '/sw.js',
+  scope: '/',
+  // Ready-made update banner; null to handle 'update-available' yourself
+  banner: null, // { ux: 'app' | 'web' | 'any', message?: string, action?: string }
+};
+
+const BANNER_DEFAULTS = { ux: 'any', message: 'A new version is available.', action: 'Reload' };
+
+let registration = null;
+let updateRequested = false;
+let reloading = false;
+
+/**
+ * Register the service worker and watch it for updates.
+ * @param {object} runtime a DualUxRuntime (e.g. the exported `dualux`)
+ * @param {{url?:string, scope?:string, banner?:?{ux?:string, message?:string, action?:string}}} [options]
+ * @returns {Promise<?ServiceWorkerRegistration>} null when unsupported or registration failed
+ */
+export async function registerServiceWorker(runtime, options) {
+  if (!('serviceWorker' in navigator)) return null;
+  const cfg = { ...DEFAULTS, ...(options || {}) };
+  const banner = cfg.banner ? { ...BANNER_DEFAULTS, ...cfg.banner } : null;
+
+  try {
+    registration = await navigator.serviceWorker.register(cfg.url, { scope: cfg.scope });
+    console.log('✅ Service Worker registered:', registration.scope);
+  } catch (err) {
+    console.error('❌ Service Worker registration failed:', err);
+    return null;
+  }
+
+  const announce = (worker) => {
+    runtime.emit('update-available', {
+      displayMode: runtime.getDisplayMode(), uxMode: runtime.getUxMode(), worker
+    });
+    if (banner) mountBanner(runtime, banner);
+  };
+
+  const watched = new WeakSet();
+  const watch = (worker) => {
+    if (!worker || watched.has(worker)) return;
+    watched.add(worker);
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) announce(worker);
+    });
+  };
+
+  // Without a controller this is the first install, not an update
+  if (registration.waiting && navigator.serviceWorker.controller) announce(registration.waiting);
+  // The browser's own update check may have found the worker before this ran: 'updatefound' is gone by now
+  watch(registration.installing);
+  registration.addEventListener('updatefound', () => watch(registration.installing));
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!updateRequested || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  return registration;
+}
+
+/**
+ * Activate the waiting worker (sw.js handles SKIP_WAITING) and reload once it took control.
+ * @returns {boolean} false when no update is waiting
+ */
+export function applyUpdate() {
+  const waiting = registration && registration.waiting;
+  if (!waiting) return false;
+  updateRequested = true;
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+  return true;
+}
+
+/**
+ * Show the update banner while the runtime is in `banner.ux`; it follows later UX switches.
+ * @param {object} runtime
+ * @param {{ux:string, message:string, action:string}} banner
+ */
+function mountBanner(runtime, banner) {
+  if (document.querySelector('.dualux-update-banner')) return;
+
+  const el = document.createElement('div');
+  el.className = 'dualux-update-banner';
+  el.setAttribute('role', 'status');
+  const text = document.createElement('span');
+  text.textContent = banner.message;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = banner.action;
+  button.addEventListener('click', () => {
+    button.disabled = true;
+    if (!applyUpdate()) window.location.reload();
+  });
+  el.append(text, button);
+
+  const sync = () => { el.hidden = banner.ux !== 'any' && runtime.getUxMode() !== banner.ux; };
+  sync();
+  runtime.on('uxchange', sync);
+  document.body.appendChild(el);
+}
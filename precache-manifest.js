@@ -0,0 +1,63 @@
+// Generated by `node bin/dualux.mjs precache`. Do not edit; re-run after changing precached files.
+self.__DUALUX_PRECACHE = [
+  {
+    "url": "/assets/css/style.css",
+    "revision": "8c7d34567668f6bd1cda98a6debe4d97"
+  },
+  {
+    "url": "/assets/icons/icon-192.png",
+    "revision": "2806494b2a22cbb460f9e8291714f464"
+  },
+  {
+    "url": "/assets/icons/icon-512.png",
+    "revision": "74cd522cf412cf90fc7cf696bb631e49"
+  },
+  {
+    "url": "/assets/screenshots/app.png",
+    "revision": "82f21379649ca23643e06b47ff4afaa7"
+  },
+  {
+    "url": "/assets/screenshots/website.png",
+    "revision": "9d51a22017ea6234d31b4982efe0aa18"
+  },
+  {
+    "url": "/favicon.ico",
+    "revision": "0ae89c22f4e90439bf651a25e47ab3ab"
+  },
+  {
+    "url": "/index.html",
+    "revision": "b93209d3a03fcfd51db119e84a566d97"
+  },
+  {
+    "url": "/js/dualux.analytics.js",
+    "revision": "cc3d98b2a2d69c9dd380c985436e45a9"
+  },
+  {
+    "url": "/js/dualux.config.js",
+    "revision": "fa8d102ceed22a2e39c599e12a414747"
+  },
+  {
+    "url": "/js/dualux.runtime.v1.1.0.js",
+    "revision": "a2a2d77bdf95384046a18c9e59ce8335"
+  },
+  {
+    "url": "/js/dualux.runtime.v1.1.0.min.js",
+    "revision": "f8256dbcc307bade515af2f7ecc1d251"
+  },
+  {
+    "url": "/js/pwa-install.bundle.js",
+    "revision": "82becc407a0ead1e0a37f17a26e1ec26"
+  },
+  {
+    "url": "/js/register-sw.js",
+    "revision": "5609706f12ed713f79f8ccdfcc8733be"
+  },
+  {
+    "url": "/manifest.json",
+    "revision": "26db9f125f556b17f2d52c9769a2824b"
+  },
+  {
+    "url": "/offline.html",
+    "revision": "7790d9fecb9489b6b92df045a0075f0e"
+  }
+];
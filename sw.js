@@ -11,11 +11,159 @@
  */
 
 /* global workbox */
+
+// ---- Client UX tracking ----
+// The runtime posts { type: 'DUALUX_STATE', uxMode, displayMode, isStandalone } on init and on every change.
+// The browser stops an idle worker while its pages stay open, so every record is also kept in
+// IndexedDB and restored when the worker starts again.
+const clientUx = new Map(); // clientId → 'app' | 'web'
+const appWindows = new Set(); // clientIds of installed app windows (isStandalone)
+
+const stateWaiters = new Set(); // called with the clientId of every DUALUX_STATE (see probeClients())
+
+const CLIENT_DB = 'dualux-clients';
+const CLIENT_STORE = 'clients';
+
+/**
+ * Run `fn(store)` in a transaction on a single-store database; resolves with fn's request result
+ * once the transaction completes.
+ */
+function idbTx(name, storeName, storeOptions, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(name, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(storeName, storeOptions);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => { db.close(); resolve(req && req.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    };
+  });
+}
+
+const clientTx = (mode, fn) => idbTx(CLIENT_DB, CLIENT_STORE, { keyPath: 'id' }, mode, fn);
+
+/** Records of the previous worker run; a DUALUX_STATE received meanwhile is newer and wins. */
+const restoredClients = clientTx('readonly', (store) => store.getAll())
+  .then((records) => records.forEach((r) => {
+    if (clientUx.has(r.id)) return;
+    clientUx.set(r.id, r.ux);
+    if (r.isStandalone) appWindows.add(r.id);
+  }))
+  .catch(() => {}); // no IndexedDB: clients are known from their next message only
+
+/** Remember a client's reported state, in memory and across worker restarts. */
+function recordClient(id, ux, isStandalone) {
+  clientUx.set(id, ux);
+  if (isStandalone) appWindows.add(id);
+  else appWindows.delete(id);
+  return clientTx('readwrite', (store) => store.put({ id, ux, isStandalone })).catch(() => {});
+}
+
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+
+  if (event.data && event.data.type === 'DUALUX_STATE' && event.source) {
+    const ux = event.data.uxMode === 'app' ? 'app' : 'web';
+    event.waitUntil(Promise.all([
+      recordClient(event.source.id, ux, !!event.data.isStandalone),
+      warmUxPrecache(ux),
+      pruneClients(),
+    ]));
+    stateWaiters.forEach((notify) => notify(event.source.id));
+
+    // A navigation served from cache had no page to tell yet; deliver it now that the page is up
+    const notice = pendingCacheNotices.get(event.source.id);
+    if (notice) {
+      pendingCacheNotices.delete(event.source.id);
+      event.source.postMessage({ type: 'DUALUX_CACHE', ...notice });
+    }
+  }
+
+  // Page load / back online without Background Sync support: try the write queue now
+  if (event.data && event.data.type === 'DUALUX_REPLAY') event.waitUntil(replayWriteQueue());
+
+  // The page a POST share was redirected to picks up the parked payload
+  if (event.data && event.data.type === 'DUALUX_LAUNCH' && event.source) {
+    const parked = parkedShares.get(event.data.id);
+    parkedShares.delete(event.data.id);
+    event.source.postMessage({ type: 'DUALUX_LAUNCH', id: event.data.id, share: parked ? parked.share : null });
+  }
 });
 
-importScripts('https://storage.googleapis.com/workbox-cdn/releases/6.6.0/workbox-sw.js');
+// ---- Served-from-cache signal ----
+// Pages learn that a response came from cache because the network was unavailable through
+// { type: 'DUALUX_CACHE', url, reason: 'network-unavailable' | 'offline-fallback' }.
+const pendingCacheNotices = new Map(); // resultingClientId → notice
+
+async function noticeServedFromCache(event, notice) {
+  if (!event) return;
+  const client = event.clientId ? await self.clients.get(event.clientId) : null;
+  if (client) client.postMessage({ type: 'DUALUX_CACHE', ...notice });
+  else if (event.resultingClientId) pendingCacheNotices.set(event.resultingClientId, notice);
+}
+
+/** For network-first strategies: a cached response is only used when the network failed or timed out. */
+const servedFromCachePlugin = {
+  cachedResponseWillBeUsed: async ({ event, request, cachedResponse }) => {
+    if (cachedResponse) noticeServedFromCache(event, { url: request.url, reason: 'network-unavailable' });
+    return cachedResponse;
+  },
+};
+
+/** Forget clients that were closed. */
+async function pruneClients() {
+  await restoredClients;
+  const alive = new Set((await self.clients.matchAll({ includeUncontrolled: true })).map((c) => c.id));
+  const closed = [...clientUx.keys()].filter((id) => !alive.has(id));
+  if (!closed.length) return;
+  closed.forEach((id) => {
+    clientUx.delete(id);
+    appWindows.delete(id);
+  });
+  await clientTx('readwrite', (store) => closed.forEach((id) => store.delete(id))).catch(() => {});
+}
+
+/**
+ * The UX a request's client reported for itself: X-DualUX-Mode header, then its last DUALUX_STATE
+ * (restored after a worker restart).
+ * @returns {Promise<?('app'|'web')>} null when the client never told
+ */
+async function reportedUx(event) {
+  const header = event.request.headers.get('X-DualUX-Mode');
+  if (header === 'app' || header === 'web') return header;
+  await restoredClients;
+  return (event.clientId && clientUx.get(event.clientId)) || null;
+}
+
+/**
+ * UX of the client behind a request: what the client reported (see reportedUx()), then the URL
+ * (/app/*, ?mode=). Navigations have no client yet, so they take the UX all open clients agree on;
+ * mixed or unknown falls back to 'web' (fresh HTML).
+ * @returns {Promise<'app'|'web'>}
+ */
+async function uxFor(event) {
+  const reported = await reportedUx(event);
+  if (reported) return reported;
+
+  const url = new URL(event.request.url);
+  const mode = url.searchParams.get('mode');
+  if (mode === 'app' || mode === 'web') return mode;
+  if (url.searchParams.has(LAUNCH.param)) return 'app'; // launches always open the App UX
+  if (url.pathname === '/app' || url.pathname.startsWith('/app/')) return 'app';
+
+  const open = new Set(clientUx.values());
+  return open.size === 1 ? [...open][0] : 'web';
+}
+
+// ---- Self-hosted Workbox (no third-party CDN at install time) ----
+importScripts('/js/vendor/workbox-v6.6.0/workbox-sw.js');
+workbox.setConfig({ modulePathPrefix: '/js/vendor/workbox-v6.6.0/', debug: false });
+
+// ---- Precache manifest (self.__DUALUX_PRECACHE), generated by `node bin/dualux.mjs precache` ----
+importScripts('/precache-manifest.js');
 
 // ---- Version your caches here ----
 const APP_SHELL = 'app-shell-v1';
@@ -24,52 +172,147 @@ const STATIC_ASSETS = 'static-v1';
 const IMAGES = 'images-v1'; 
 const FONTS = 'fonts-v1';
 const API = 'api-v1';
+const UX_ASSETS = { app: 'app-assets-v1', web: 'web-assets-v1' };
 
-// ---- Precache the minimal app shell for offline /app entry ----
-workbox.precaching.precacheAndRoute([
-  { url: '/index.html', revision: 'v1' },
-  { url: '/manifest.json', revision: 'v1' },
+// ---- Offline fallback documents (must be precached) ----
+// Served to navigations that neither the network nor the runtime caches can answer.
+const OFFLINE_FALLBACKS = {
+  app: '/index.html',   // the App UX shell renders its own offline state
+  web: '/offline.html', // branded page instead of the browser's error screen
+};
 
-  // CSS
-  { url: '/assets/css/style.css', revision: 'v1' },
+// ---- Per-UX precache ----
+// Fetched the first time a client reports that UX, so web visitors never download app-only files.
+const UX_PRECACHE = {
+  app: [
+    // e.g. '/js/app-shell.js'
+  ],
+  web: [],
+};
 
-  // Icons
-  { url: '/assets/icons/icon-192.png', revision: 'v1' },
-  { url: '/assets/icons/icon-512.png', revision: 'v1' },
+/** Fill the UX's asset cache with whatever it is still missing. */
+async function warmUxPrecache(ux) {
+  const cache = await caches.open(UX_ASSETS[ux]);
+  await Promise.all(UX_PRECACHE[ux].map(async (url) => {
+    if (!(await cache.match(url))) await cache.add(url);
+  }));
+}
 
-  // Screenshots
-  { url: '/assets/screenshots/app.png', revision: 'v1' },
-  { url: '/assets/screenshots/website.png', revision: 'v1' },
-
-  // JS bundles
-  { url: '/js/dualux.runtime.v1.1.0.js', revision: 'v1' },
-  { url: '/js/pwa-install.bundle.js', revision: 'v1' }
-], {
+// ---- Precache the app shell for offline entry (content-hashed revisions) ----
+workbox.precaching.precacheAndRoute(self.__DUALUX_PRECACHE, {
   ignoreURLParametersMatching: [/./],
 });
 
-// ---- Navigation fallback: only for /app ----
-workbox.routing.registerRoute(
-  ({ request, url }) => request.mode === 'navigate' && url.pathname.startsWith('/app'),
-  new workbox.strategies.NetworkFirst({
-    cacheName: APP_SHELL,
-    plugins: [
-      new workbox.expiration.ExpirationPlugin({ maxEntries: 50 }),
-    ],
-  })
-);
+// ---- Per-UX route policies ----
+// Which strategy serves a request kind depends on the UX of the client asking (see uxFor()).
+const UX_POLICIES = {
+  app: {
+    // Installed app: shell straight from cache (refreshed in the background), data available offline
+    navigate: new workbox.strategies.StaleWhileRevalidate({
+      cacheName: APP_SHELL,
+      plugins: [new workbox.expiration.ExpirationPlugin({ maxEntries: 50 })],
+    }),
+    api: new workbox.strategies.NetworkFirst({
+      cacheName: API,
+      networkTimeoutSeconds: 3,
+      plugins: [
+        new workbox.expiration.ExpirationPlugin({
+          maxEntries: 80,
+          maxAgeSeconds: 60 * 60 * 24 * 7,
+        }),
+        servedFromCachePlugin,
+      ],
+    }),
+  },
+  web: {
+    // Public/SEO pages: always fresh HTML, cache only as an offline fallback
+    navigate: new workbox.strategies.NetworkFirst({ cacheName: WEB_PAGES, plugins: [servedFromCachePlugin] }),
+    api: new workbox.strategies.NetworkOnly(),
+  },
+};
+
+/** Route handler delegating to the policy of the requesting client's UX. */
+const byUx = (kind) => async (options) => UX_POLICIES[await uxFor(options.event)][kind].handle(options);
 
+// ---- App launches: share target ----
+// manifest.json share_target points at LAUNCH.shareAction. A GET share is redirected to the App UX
+// landing with its fields in the query; a POST share (files) is parked here and the landing page
+// fetches it with { type: 'DUALUX_LAUNCH', id } → { type: 'DUALUX_LAUNCH', id, share }.
+// Registered before the navigation route so it wins for GET shares.
+const LAUNCH = {
+  shareAction: '/share-target',
+  landing: '/',            // entry the runtime turns into the App UX route (keep in sync with manifest.json)
+  param: 'dualux-launch',  // marks launch URLs for the runtime and uxFor()
+  keepMs: 60 * 1000,       // parked shares nobody picked up are dropped after this
+};
+
+const parkedShares = new Map(); // id → { share: { title, text, url, files }, expires }
+
+/** 303 to the landing page, which the runtime recognizes as a share launch. */
+function shareRedirect(params) {
+  const url = new URL(LAUNCH.landing, self.location.origin);
+  url.searchParams.set(LAUNCH.param, 'share');
+  Object.keys(params).forEach((key) => { if (params[key]) url.searchParams.set(key, params[key]); });
+  return Response.redirect(url.href, 303);
+}
+
+async function receiveShare({ request }) {
+  if (request.method === 'GET') {
+    const query = new URL(request.url).searchParams;
+    return shareRedirect({ title: query.get('title'), text: query.get('text'), url: query.get('url') });
+  }
+
+  const form = await request.formData();
+  const now = Date.now();
+  parkedShares.forEach((parked, id) => { if (parked.expires < now) parkedShares.delete(id); });
+  const id = self.crypto && self.crypto.randomUUID ? self.crypto.randomUUID() : now.toString(36) + Math.random().toString(36).slice(2);
+  parkedShares.set(id, {
+    share: {
+      title: form.get('title') || null,
+      text: form.get('text') || null,
+      url: form.get('url') || null,
+      files: form.getAll('files').filter((f) => typeof f !== 'string'),
+    },
+    expires: now + LAUNCH.keepMs,
+  });
+  return shareRedirect({ share: id });
+}
+
+['GET', 'POST'].forEach((method) => {
+  workbox.routing.registerRoute(
+    ({ url }) => url.origin === self.location.origin && url.pathname === LAUNCH.shareAction,
+    receiveShare,
+    method
+  );
+});
+
+// ---- HTML navigations ----
 workbox.routing.registerRoute(
-  ({ request, url }) => request.mode === 'navigate' && url.pathname === '/app',
-  new workbox.strategies.NetworkFirst({ cacheName: APP_SHELL })
+  ({ request }) => request.mode === 'navigate',
+  byUx('navigate')
 );
 
-// ---- Public/SEO HTML pages ----
+// ---- Offline fallback: any route that failed ----
+workbox.routing.setCatchHandler(async ({ event, request }) => {
+  if (request.mode !== 'navigate') return Response.error();
+  const fallback = await workbox.precaching.matchPrecache(OFFLINE_FALLBACKS[await uxFor(event)]);
+  if (!fallback) return Response.error();
+  noticeServedFromCache(event, { url: request.url, reason: 'offline-fallback' });
+  return fallback;
+});
+
+// ---- Per-UX precached assets ----
+const uxOfAsset = (url) => (url.origin !== self.location.origin ? undefined
+  : Object.keys(UX_PRECACHE).find((ux) => UX_PRECACHE[ux].includes(url.pathname)));
+
+const UX_ASSET_STRATEGIES = {
+  app: new workbox.strategies.CacheFirst({ cacheName: UX_ASSETS.app }),
+  web: new workbox.strategies.CacheFirst({ cacheName: UX_ASSETS.web }),
+};
+
 workbox.routing.registerRoute(
-  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/app'),
-  new workbox.strategies.StaleWhileRevalidate({
-    cacheName: WEB_PAGES,
-  })
+  ({ url }) => !!uxOfAsset(url),
+  (options) => UX_ASSET_STRATEGIES[uxOfAsset(options.url)].handle(options)
 );
 
 // ---- Static JS/CSS ----
@@ -114,14 +357,246 @@ workbox.routing.registerRoute(
 // ---- API / JSON data (optional) ----
 workbox.routing.registerRoute(
   ({ url }) => url.pathname.endsWith('.json') || url.pathname.startsWith('/api/'),
-  new workbox.strategies.NetworkFirst({
-    cacheName: API,
-    networkTimeoutSeconds: 3,
-    plugins: [
-      new workbox.expiration.ExpirationPlugin({
-        maxEntries: 80,
-        maxAgeSeconds: 60 * 60 * 24 * 7,
-      }),
-    ],
-  })
+  byUx('api')
 );
+
+// ---- Offline write queue (non-GET /api/ requests) ----
+// Writes that fail for lack of network are stored in IndexedDB, answered with 202 { queued: true }
+// and replayed in order through Background Sync, or when a page reports it is loaded / back online.
+// Pages receive { type: 'DUALUX_QUEUE', length, nextRetryAt, results? } after every change.
+const WRITE_QUEUE = {
+  ux: ['app'],                // UXes whose writes are queued; others fail as usual (unknown clients are queued)
+  methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+  syncTag: 'dualux-write-queue',
+  maxRetries: 5,              // attempts before an entry is dropped
+  backoffMs: 2000,            // delay after the first failed replay…
+  backoffFactor: 2,           // …multiplied per further attempt…
+  maxBackoffMs: 5 * 60 * 1000, // …up to this
+  maxAgeMs: 24 * 60 * 60 * 1000, // entries older than this are dropped unreplayed
+};
+
+const QUEUE_DB = 'dualux-write-queue';
+const QUEUE_STORE = 'requests';
+
+const queueTx = (mode, fn) => idbTx(QUEUE_DB, QUEUE_STORE, { keyPath: 'id', autoIncrement: true }, mode, fn);
+
+const queueAll = () => queueTx('readonly', (store) => store.getAll());
+const queuePut = (entry) => queueTx('readwrite', (store) => store.put(entry));
+const queueDelete = (id) => queueTx('readwrite', (store) => store.delete(id));
+
+/** Tell every window about the queue; `results` lists what a replay did. */
+async function broadcastQueue(results) {
+  const entries = await queueAll();
+  const nextRetryAt = entries.reduce((min, e) => Math.min(min, e.nextAttemptAt), Infinity);
+  const message = {
+    type: 'DUALUX_QUEUE',
+    length: entries.length,
+    nextRetryAt: Number.isFinite(nextRetryAt) ? nextRetryAt : null,
+    results,
+  };
+  (await self.clients.matchAll({ type: 'window' })).forEach((c) => c.postMessage(message));
+}
+
+/** Ask for a Background Sync; without it, pages trigger replays (DUALUX_REPLAY). */
+async function requestSync() {
+  try {
+    if (self.registration.sync) await self.registration.sync.register(WRITE_QUEUE.syncTag);
+  } catch (_) {}
+}
+
+/** Store a write that could not reach the network. */
+async function enqueueWrite(request) {
+  const now = Date.now();
+  await queuePut({
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers],
+    body: await request.arrayBuffer(),
+    queuedAt: now,
+    attempts: 0,
+    nextAttemptAt: now,
+  });
+  await requestSync();
+  await broadcastQueue();
+}
+
+let replaying = null;
+
+/**
+ * Replay due entries in order. Success and client errors (4xx) leave the queue; a network error
+ * or 5xx schedules a retry with backoff and stops the run, so later writes never overtake earlier ones.
+ * @returns {Promise<boolean>} true when nothing is left waiting on the network
+ */
+function replayWriteQueue() {
+  if (replaying) return replaying;
+  replaying = (async () => {
+    const results = [];
+    let blocked = false;
+    const now = Date.now();
+
+    for (const entry of await queueAll()) {
+      if (now - entry.queuedAt > WRITE_QUEUE.maxAgeMs) {
+        await queueDelete(entry.id);
+        results.push({ url: entry.url, method: entry.method, ok: false, dropped: true, reason: 'expired' });
+        continue;
+      }
+      if (entry.nextAttemptAt > now) {
+        blocked = true;
+        break;
+      }
+
+      let response = null;
+      try {
+        response = await fetch(entry.url, {
+          method: entry.method,
+          headers: entry.headers,
+          body: entry.body.byteLength ? entry.body : undefined,
+          credentials: 'same-origin',
+        });
+      } catch (_) {}
+
+      if (response && response.status < 500) {
+        await queueDelete(entry.id);
+        results.push({ url: entry.url, method: entry.method, ok: response.ok, status: response.status });
+        continue;
+      }
+
+      entry.attempts += 1;
+      if (entry.attempts >= WRITE_QUEUE.maxRetries) {
+        await queueDelete(entry.id);
+        results.push({
+          url: entry.url, method: entry.method, ok: false, dropped: true,
+          status: response ? response.status : null, reason: 'retries-exhausted'
+        });
+        continue;
+      }
+      const delay = WRITE_QUEUE.backoffMs * Math.pow(WRITE_QUEUE.backoffFactor, entry.attempts - 1);
+      entry.nextAttemptAt = Date.now() + Math.min(delay, WRITE_QUEUE.maxBackoffMs);
+      await queuePut(entry);
+      blocked = true;
+      break;
+    }
+
+    await broadcastQueue(results);
+    return !blocked;
+  })().finally(() => { replaying = null; });
+  return replaying;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== WRITE_QUEUE.syncTag) return;
+  // Rejecting lets the browser schedule another sync while writes are still waiting
+  event.waitUntil(replayWriteQueue().then((drained) => {
+    if (!drained) throw new Error('Write queue not drained');
+  }));
+});
+
+/**
+ * Network first; a write that cannot reach the network is queued for replay. Only a client known to
+ * be in another UX (see reportedUx()) gets the network error: a write is never lost for lack of a record.
+ */
+async function queueingWrite({ event, request }) {
+  const copy = request.clone();
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const ux = await reportedUx(event);
+    if (ux && !WRITE_QUEUE.ux.includes(ux)) throw err;
+    await enqueueWrite(copy);
+    return new Response(JSON.stringify({ queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json', 'X-DualUX-Queued': '1' },
+    });
+  }
+}
+
+WRITE_QUEUE.methods.forEach((method) => {
+  workbox.routing.registerRoute(
+    ({ url }) => url.origin === self.location.origin && url.pathname.startsWith('/api/'),
+    queueingWrite,
+    method
+  );
+});
+
+// ---- Web Push ----
+// Subscriptions come from the runtime (dualux.push.subscribe()). Payload (JSON):
+// { title, body, url, icon, badge, tag, data, actions: [{ action, title, url }] }; a plain-text payload
+// becomes the body. A click focuses an installed app window and hands it
+// { type: 'DUALUX_NOTIFICATION', targetURL, action, data }, or opens targetURL in a new window;
+// the runtime turns either into the App UX route of `url` (or the action's url).
+const PUSH = {
+  title: 'DUAL UX',                       // when the payload has none
+  icon: '/assets/icons/icon-192.png',
+  probeMs: 300,                           // how long a click waits for windows without a record to report
+};
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  if (event.data) {
+    try { payload = event.data.json(); } catch (_) { payload = { body: event.data.text() }; }
+  }
+  const actions = payload.actions || [];
+  const actionUrls = {};
+  actions.forEach((a) => { if (a.url) actionUrls[a.action] = a.url; });
+
+  event.waitUntil(self.registration.showNotification(payload.title || PUSH.title, {
+    body: payload.body,
+    icon: payload.icon || PUSH.icon,
+    badge: payload.badge,
+    tag: payload.tag,
+    actions: actions.map(({ action, title }) => ({ action, title })),
+    data: { url: payload.url || LAUNCH.landing, actionUrls, data: payload.data === undefined ? null : payload.data },
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { url, actionUrls, data } = event.notification.data || {};
+  const target = new URL((event.action && actionUrls && actionUrls[event.action]) || url || LAUNCH.landing, self.location.origin);
+
+  // Other origins have no App UX to open
+  if (target.origin !== self.location.origin) {
+    event.waitUntil(self.clients.openWindow(target.href));
+    return;
+  }
+  target.searchParams.set(LAUNCH.param, 'notification');
+  event.waitUntil(openInApp(target.href, event.action, data));
+});
+
+/**
+ * Ask the windows this worker holds no record of for their state ({ type: 'DUALUX_STATE_REQUEST' },
+ * answered with DUALUX_STATE); resolves once all answered or after PUSH.probeMs.
+ */
+function probeClients(windows) {
+  const waiting = new Set(windows.filter((c) => !clientUx.has(c.id)).map((c) => c.id));
+  if (!waiting.size) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      stateWaiters.delete(onState);
+      resolve();
+    };
+    const onState = (id) => {
+      waiting.delete(id);
+      if (!waiting.size) done();
+    };
+    const timer = setTimeout(done, PUSH.probeMs);
+    stateWaiters.add(onState);
+    windows.forEach((c) => { if (waiting.has(c.id)) c.postMessage({ type: 'DUALUX_STATE_REQUEST' }); });
+  });
+}
+
+/** Focus an installed app window and let it navigate, else open the link (the runtime moves it into the App UX). */
+async function openInApp(targetURL, action, data) {
+  // A push usually wakes a fresh worker: records come back from IndexedDB, unknown windows are asked
+  await restoredClients;
+  await pruneClients();
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  await probeClients(windows);
+  const app = windows.find((c) => appWindows.has(c.id));
+  if (!app) return self.clients.openWindow(targetURL);
+
+  const focused = await app.focus();
+  focused.postMessage({ type: 'DUALUX_NOTIFICATION', targetURL, action, data });
+  return focused;
+}